@@ -11,36 +11,55 @@
  * Module Dependencies
  */
 
-var _          = require('lodash');
-var async      = require('async');
-var Connection = require('./connection');
+var _            = require('lodash');
+var async        = require('async');
+var Connection   = require('./connection');
+var criteria     = require('./criteria');
+var search       = require('./search');
+var mapping      = require('./mapping');
+var aggregations = require('./aggregations');
+var bulk         = require('./bulk');
+var scroll       = require('./scroll');
+var indices      = require('./indices');
+var aliases      = require('./aliases');
+var settings     = require('./settings');
+var join         = require('./join');
+var records      = require('./records');
+var scripts      = require('./scripts');
+var geo          = require('./geo');
+var schema       = require('./schema');
+var errors       = require('./errors');
 
 // Set the limit for concurrent 'async' operations. Prefer the value defined in
 // the application configuration, if it exists.
 var asyncLimit = _(sails.config).get('custom.async.limit') || 100;
 
+// The maximum number of hits that a search can page through with 'from' and
+// 'size', unless the index's 'max_result_window' setting says otherwise.
+var defaultMaxResultWindow = 10000;
+
 /**
  * Helper functions for getting the elasticsearch client, and for determining
  * the index and type that will be used for the operation at hand.
  */
 
 var getClient = function(connections, connectionName) {
-  return connections[connectionName].connection.connection;
+  return connections[connectionName].connection.client;
 };
 
-var getIndex = function(connections, connectionName, collectionName, index) {
-  /**
-   * @Issue(
-   *   "Allow dynamic index creation based on the current user, time or
-   *   other logic"
-   *   type="improvement"
-   *   priority="normal"
-   * )
-   */
+// The index is resolved from the index strategy of the model if it defines
+// one, or of the connection otherwise (see './indices'). The context describes
+// the operation at hand; { criteria } for reads, which is the default, and
+// { operation: 'write', record } for writes.
+var getIndex = function(connections, connectionName, collectionName, index, context) {
   if (index == undefined) {
-    var config = connections[connectionName].config;
-    if (config.index != undefined) {
-      index = config.index;
+    var strategy = getIndexStrategy(connections, connectionName, collectionName);
+
+    if (strategy != undefined) {
+      index = indices.resolve(strategy, _.assign({
+        collectionName : collectionName,
+        operation      : 'read'
+      }, context));
     } else {
       index = collectionName;
     }
@@ -49,42 +68,83 @@ var getIndex = function(connections, connectionName, collectionName, index) {
   return index;
 }
 
+var getIndexStrategy = function(connections, connectionName, collectionName) {
+  var strategy = connections[connectionName].collections[collectionName].index;
+  if (strategy == undefined) {
+    strategy = connections[connectionName].config.index;
+  }
+
+  return strategy;
+};
+
+// Helper function for adding the parameters that read requests need. Indices
+// resolved from an index strategy may not exist yet, e.g. the index of a
+// tenant that has not written any records; reads on them should match nothing
+// rather than fail.
+var getReadParams = function(connections, connectionName, collectionName, index, params) {
+  if (index == undefined && getIndexStrategy(connections, connectionName, collectionName) != undefined) {
+    params.ignoreUnavailable = true;
+    params.allowNoIndices    = true;
+  }
+
+  return params;
+};
+
 var getType = function(connections, connectionName, collectionName) {
   return connections[connectionName].collections[collectionName].adapter.identity;
 }
 
+// Helper function for determining whether the given index of a collection is
+// also used by other collections of the connection.
+var isSharedIndex = function(connections, connectionName, collectionName, indexName) {
+  return _.some(Object.keys(connections[connectionName].collections), function(otherCollectionName) {
+    if (otherCollectionName == collectionName) {
+      return false;
+    }
+
+    try {
+      return getIndex(connections, connectionName, otherCollectionName) == indexName;
+    } catch (err) {
+      return false;
+    }
+  });
+};
+
 // Helper function for getting the name of the primary key field for the model.
 var getPrimaryKeyField = function(connections, connectionName, collectionName) {
   return connections[connectionName].collections[collectionName].primaryKey;
 }
 
+// Helper function for getting the index settings declared by the model.
+var getIndexSettings = function(connections, connectionName, collectionName) {
+  return settings.build(connections[connectionName].collections[collectionName].indexSettings);
+}
+
+// Helper function for getting the maximum number of hits that a search on the
+// collection's index can page through with 'from' and 'size'.
+var getMaxResultWindow = function(connections, connectionName, collectionName) {
+  var esSettings = getIndexSettings(connections, connectionName, collectionName) || {};
+  var value      = _.get(esSettings, 'max_result_window', _.get(esSettings, 'index.max_result_window'));
+
+  return value != undefined ? Number(value) : defaultMaxResultWindow;
+};
+
 // Helper function for getting the attributes of the given collection.
 var getAttributes = function(connections, connectionName, collectionName) {
   return connections[connectionName].collections[collectionName]._attributes;
 }
 
-// Helper function for parsing an Elastic Search response and getting the
-// record values as json objects.
-var getHits = function(esResponse, cb) {
-  var results = [];
-
-  if (esResponse.hits.total == 0) {
-    return cb(null, results);
-  }
-
-  async.eachLimit(esResponse.hits.hits, asyncLimit, function(e, c) {
-    results.push(hitToModel(e));
-    c();
-  }, function(err) {
-    if (err) return cb(err);
-    return cb(null, results);
-  });
+// Helper function for getting the total number of hits from an Elastic Search
+// response. Newer versions of Elastic Search return it as an object.
+var getTotal = function(esResponse) {
+  var total = esResponse.hits.total;
+  return _.isObject(total) ? total.value : total;
 };
 
-// Helper function for getting documents as models from an Elastic Search
+// Helper function for getting documents as records from an Elastic Search
 // response that provides a list of 'docs', such as a response to an 'mget'
-// request.
-var getFound = function(esResponse, cb) {
+// request. The documents are converted with the given function.
+var getFound = function(esResponse, hitToModel, cb) {
   var results = [];
 
   async.eachLimit(esResponse.docs, asyncLimit, function(e, c) {
@@ -102,89 +162,373 @@ var getFound = function(esResponse, cb) {
   });
 };
 
-// Convert an Elastic Search "hit" into a json object that corresponds to the
-// model at hand.
-/**
- * @Issue(
- *   "Check whether we should be returning an actual model object"
- *   type="task"
- *   priority="normal"
- *   labels="api compliance"
- * )
- */
-var hitToModel = function(hit) {
-  var result = hit._source;
-  result._id = hit._id;
-  return result;
-}
+// Helper function for getting a function that converts Elastic Search "hits"
+// into records of the model at hand (see './records'). Document metadata are
+// exposed on the records under the 'metadataKey' of the connection, if set.
+var getHitToModel = function(connections, connectionName, collectionName) {
+  var model = getModel(connections, connectionName, collectionName);
+
+  return function(hit) {
+    return records.fromHit(hit, model);
+  };
+};
+
+// Helper function for getting the description of the model at hand that is
+// needed for converting between documents and records.
+var getModel = function(connections, connectionName, collectionName) {
+  return {
+    primaryKey  : getPrimaryKeyField(connections, connectionName, collectionName),
+    attributes  : getAttributes(connections, connectionName, collectionName),
+    metadataKey : connections[connectionName].config.metadataKey
+  };
+};
 
-// Make a Term or Terms query.
-// If we're looking for a single value, we make a term query.
-// If we're looking for multiple values, we make a terms query.
-var smartTermOrTermsQuery = function(field, value) {
-  var termFilter = {};
-
-  // If we want to make an IN query, which means that the comparison
-  // value must be an array, we create a 'terms' filter.
-  if (Array.isArray(value)) {
-    termFilter.terms = {};
-    termFilter.terms[field] = value;
-  } else {
-    // Otherwise, we create a 'term' filter.
-    termFilter.term = {};
-    termFilter.term[field] = value;
+// Helper function for adding the parameters that search requests returning
+// records need. The documents' sequence numbers and primary terms are
+// requested for optimistic concurrency control, if the cluster supports it.
+var getSearchParams = function(connections, connectionName, params) {
+  if (connections[connectionName].connection.versionAtLeast('6.7.0')) {
+    params.seqNoPrimaryTerm = true;
   }
 
-  return termFilter;
-}
+  return params;
+};
 
-// Restrict sub-attributes in attributes of type 'json' to the ones
-// defined by the 'restrictAttributes' and 'skipAttributes' properties.
-var restrictAttributes = function(attributes, values) {
-  Object.keys(attributes).forEach(function(attribute) {
-    if (attributes[attribute].type != undefined && attributes[attribute].type == 'json') {
-      // Remove attributes that are not included in the restrictAttributes
-      // property, if defined.
-      if (attributes[attribute].restrictAttributes && values[attribute]) {
-        if (Array.isArray(values[attribute])) {
-          values[attribute].forEach(function(e) {
-            restrictObjectAttributes(attributes[attribute].restrictAttributes, e);
-          });
-        } else {
-          restrictObjectAttributes(attributes[attribute].restrictAttributes, values[attribute]);
-        }
-      }
+// Helper function for getting the options that 'where' criteria are translated
+// with (see './criteria'). The paths of the model's 'nested' fields are derived
+// from its mapping, and the matching nested objects are requested if the
+// 'innerHits' criteria option is given. String modifiers match regardless of
+// case if the cluster supports it.
+var getCriteriaOptions = function(connections, connectionName, collectionName, options) {
+  var properties = mapping.fromAttributes(getAttributes(connections, connectionName, collectionName));
+
+  return {
+    nestedPaths     : mapping.nestedPaths(properties),
+    innerHits       : options && options.innerHits,
+    caseInsensitive : connections[connectionName].connection.versionAtLeast('7.10.0')
+  };
+};
 
-      function restrictObjectAttributes(restrictedFields, object) {
-        Object.keys(object).forEach(function(e) {
-          if (_.indexOf(restrictedFields, e) == -1) {
-            delete object[e];
-          }
-        });
-      }
+// Helper function for getting the sequence number and primary term that an
+// update or deletion is conditional on, if any. They are given either in the
+// criteria or, when saving a record that was retrieved earlier, along with its
+// values. Throws an error if only one of them is given, since Elastic Search
+// requires both.
+var getConcurrencyToken = function(options, values) {
+  var hasToken = function(source) {
+    return source._seqNo != undefined || source._primaryTerm != undefined;
+  };
 
-      // Remove attributes included in the skipAttributes property, if defined.
-      /**
-       * @Issue(
-       *   "Properly filter json array as well, like when restricting attributes"
-       *   type="bug"
-       *   priority="normal"
-       * )
-       */
-      if (attributes[attribute].skipAttributes && values[attribute]) {
-        Object.keys(values[attribute]).forEach(function(e) {
-          for (var i in attributes[attribute].skipAttributes) {
-            if (e == attributes[attribute].skipAttributes[i]) {
-              delete values[attribute][e];
-            }
-          }
-        });
-      }
+  var source = hasToken(options) ? options : values || {};
+  if (!hasToken(source)) {
+    return;
+  }
+
+  if (source._seqNo == undefined || source._primaryTerm == undefined) {
+    throw errors.validation('Conditional writes require both the "_seqNo" and the "_primaryTerm" of the record.');
+  }
+
+  return {
+    ifSeqNo       : source._seqNo,
+    ifPrimaryTerm : source._primaryTerm
+  };
+};
+
+// Helper function for normalising the criteria of updates and deletions.
+// Waterline moves criteria given without a 'where' into it, so the properties
+// of a record that are not stored, such as its '_seqNo' and '_primaryTerm',
+// end up in 'where' when the record itself is given as the criteria. They are
+// taken out of 'where' and given as options instead; explicit options take
+// precedence. The record's metadata are dropped.
+//
+// If a sequence number is given, the record is identified by its primary key
+// alone. The sequence number makes sure that the record has not been changed
+// since it was retrieved, so the rest of the record's values are redundant.
+var getWriteCriteria = function(connections, connectionName, collectionName, options) {
+  var where      = options.where || {};
+  var properties = _.compact(records.recordProperties.concat(connections[connectionName].config.metadataKey));
+
+  if (!_.some(properties, _.partial(_.has, where))) {
+    return options;
+  }
+
+  options = _.assign(_.pick(where, records.recordProperties), options, {
+    where: _.omit(where, properties)
+  });
+
+  var primaryKeyField = getPrimaryKeyField(connections, connectionName, collectionName);
+  if (options._seqNo != undefined && options.where[primaryKeyField] != undefined) {
+    options.where = _.pick(options.where, primaryKeyField);
+  }
+
+  return options;
+};
+
+// Helper function for getting the concurrency control parameters of an update;
+// either the sequence number and primary term it is conditional on, or how many
+// times to retry it if it conflicts with a concurrent update. Retrying would
+// defeat the purpose of conditional updates, so the two are exclusive.
+var getUpdateConcurrency = function(connections, connectionName, options, values) {
+  var token = getConcurrencyToken(options, values);
+  if (token != undefined) {
+    return token;
+  }
+
+  var retryOnConflict = options.retryOnConflict;
+  if (retryOnConflict == undefined) {
+    retryOnConflict = connections[connectionName].config.retryOnConflict;
+  }
+
+  return retryOnConflict != undefined ? { retryOnConflict: retryOnConflict } : {};
+};
+
+// Helper function for getting the parameters of write requests that control
+// when the changes become visible to searches ('refresh'), how many copies of
+// each shard must be active ('waitForActiveShards'), and how long to wait for
+// them ('timeout'). The options given for the operation take precedence over
+// the defaults set on the connection.
+var getWriteParams = function(connections, connectionName, options) {
+  var config = connections[connectionName].config;
+  var params = {};
+
+  ['refresh', 'waitForActiveShards', 'timeout'].forEach(function(parameter) {
+    if (options && options[parameter] !== undefined) {
+      params[parameter] = options[parameter];
+    } else if (config[parameter] !== undefined) {
+      params[parameter] = config[parameter];
     }
   });
 
-  return values;
-}
+  return params;
+};
+
+// Helper function for determining whether document metadata are exposed on
+// records, in which case search requests ask for the documents' versions.
+var hasMetadata = function(connections, connectionName) {
+  return connections[connectionName].config.metadataKey != undefined;
+};
+
+// Helper function for adding offset, limit and sorting to a search request's
+// body, based on the given Waterline criteria.
+//
+// If the 'cursor' option is given, 'search_after' is used for paginating
+// instead of 'from', which is not limited to the first 10,000 hits and does
+// not get slower the deeper the page. The cursor is 'true' for the first page,
+// and the '_cursor' of the last record of the previous page for every next one.
+var addPagingAndSorting = function(body, options) {
+  // Add offset and limit to the query, if requested.
+  if (options.skip != undefined && options.cursor == undefined) {
+    body.from = options.skip;
+  }
+  if (options.limit != undefined) {
+    body.size = options.limit;
+  }
+
+  // Add sorting, if requested.
+  var sorts = getSort(options.sort);
+
+  // Pages can only be reliably continued if the sort order is unique, so the
+  // primary key is added as a tiebreaker.
+  if (options.cursor != undefined) {
+    sorts = (sorts || []).concat({ _id: { order: 'asc' } });
+
+    if (Array.isArray(options.cursor)) {
+      body.search_after = options.cursor;
+    }
+  }
+
+  if (sorts != undefined) {
+    body.sort = sorts;
+  }
+
+  return body;
+};
+
+// Helper function for translating the Waterline sort criteria into the
+// request's sort.
+//
+// Geo point fields are sorted by their distance from the origin given as the
+// sort value, in the form { lat, lng, order, unit }. Throws an error if the
+// origin is invalid.
+var getSort = function(sort) {
+  if (sort == undefined) {
+    return;
+  }
+
+  var sortFields = Object.keys(sort);
+  if (!sortFields.length) {
+    return;
+  }
+
+  var sorts = [];
+
+  // We could have multiple sort criteria - add each one of them in the
+  // order provided.
+  sortFields.forEach(function(sortField) {
+    if (_.isPlainObject(sort[sortField])) {
+      sorts.push(geo.distanceSort(sortField, sort[sortField]));
+      return;
+    }
+
+    var sortQuery = {};
+    sortQuery[sortField] = {
+      order: sort[sortField] == 1 ? 'asc' : 'desc'
+    }
+    sorts.push(sortQuery);
+  });
+
+  return sorts;
+};
+
+// Helper function for getting the options for bulk operations. The chunk size
+// and concurrency can be set on the connection; the concurrency defaults to the
+// limit for concurrent 'async' operations.
+var getBulkOptions = function(connections, connectionName) {
+  var config = connections[connectionName].config;
+
+  return {
+    size        : config.bulkSize,
+    concurrency : config.bulkConcurrency || asyncLimit
+  };
+};
+
+// Helper function for determining whether the given 'where' criteria consist
+// of the primary key of a single record, and nothing else.
+var isSinglePrimaryKey = function(where, primaryKeyField) {
+  return _.isEqual(Object.keys(where), [primaryKeyField])
+    && where[primaryKeyField] != undefined
+    && !_.isObject(where[primaryKeyField]);
+};
+
+// Helper function for determining whether the given 'where' criteria consist
+// of a list of primary keys, and nothing else.
+var isPrimaryKeyList = function(where, primaryKeyField) {
+  return _.isEqual(Object.keys(where), [primaryKeyField]) && Array.isArray(where[primaryKeyField]);
+};
+
+// Helper function for getting the ids and indices of the records matching the
+// given 'where' criteria, as hits without their source. If the criteria
+// consist only of the primary keys of records in a single index, there is no
+// need to search for them.
+var getMatchingHits = function(client, params, where, primaryKeyField, criteriaOptions, cb) {
+  if (isPrimaryKeyList(where, primaryKeyField) && !indices.isPattern(params.index)) {
+    return cb(null, where[primaryKeyField].map(function(primaryKey) {
+      return {
+        _index : params.index,
+        _id    : primaryKey
+      };
+    }));
+  }
+
+  var body = {
+    _source: false
+  };
+
+  try {
+    body.query = criteria.buildQuery(where, primaryKeyField, criteriaOptions);
+  } catch (err) {
+    return cb(err);
+  }
+
+  scroll.all(client, _.assign({ body: body }, params), cb);
+};
+
+// Helper function for searching for records by their ids. Used for getting
+// records by id when they may be in any of multiple indices, since the 'get'
+// and 'mget' APIs require the index of each record.
+var searchByIds = function(client, params, primaryKeys, cb) {
+  client.search(_.assign({
+    body: {
+      query: {
+        ids: {
+          values: primaryKeys
+        }
+      },
+      size: primaryKeys.length
+    }
+  }, params), function(err, res) {
+    if (err) return cb(err);
+    return cb(null, res.hits.hits);
+  });
+};
+
+// The properties of attributes that are specific to this adapter.
+var attributeProperties = ['schema', 'items', 'nested', 'analyzed', 'geo', 'mapping', 'restrictAttributes', 'skipAttributes'];
+
+// Helper function for removing the adapter's attribute properties from the
+// validations of the given collections. Waterline treats the properties of an
+// attribute that it does not know as validation rules, and fails validating
+// records with an 'Unknown rule' error.
+var ignoreAttributeProperties = function(collections) {
+  _.forEach(collections, function(collection) {
+    if (collection._validator == undefined) {
+      return;
+    }
+
+    _.forEach(collection._validator.validations, function(validations) {
+      attributeProperties.forEach(function(property) {
+        delete validations[property];
+      });
+    });
+  });
+};
+
+// Helper function for detecting differences between the settings declared by
+// the model and the live settings of its index. They are reported as warnings
+// rather than applied, since most settings can only be changed by reindexing.
+// Indices that do not exist are skipped.
+var checkSettingsDrift = function(client, indexName, esSettings, cb) {
+  if (esSettings == undefined) {
+    return cb();
+  }
+
+  client.indices.getSettings({
+    index             : indexName,
+    ignoreUnavailable : true,
+    allowNoIndices    : true
+  }, function(err, res) {
+    if (err) return cb(err);
+
+    // The response is keyed by the physical index, which may differ from the
+    // requested one if an alias was used.
+    _.forEach(res, function(value, physicalIndex) {
+      settings.getDrift(esSettings, value.settings).forEach(function(drift) {
+        sails.log.warn('The "' + drift.setting + '" setting of the "' + physicalIndex + '" index is "' +
+          drift.live + '" instead of "' + drift.declared + '" as declared by the model.');
+      });
+    });
+
+    return cb();
+  });
+};
+
+// Helper function for checking the settings of the indices of all collections
+// of the given connection, when the connection is registered. The check is
+// only informative, so failures are logged rather than passed on.
+var checkConnectionDrift = function(connections, connectionName, cb) {
+  var client = getClient(connections, connectionName);
+
+  async.eachLimit(Object.keys(connections[connectionName].collections), asyncLimit, function(collectionName, c) {
+    var esSettings = getIndexSettings(connections, connectionName, collectionName);
+    if (esSettings == undefined) {
+      return c();
+    }
+
+    try {
+      var indexName = getIndex(connections, connectionName, collectionName);
+    } catch (err) {
+      sails.log.warn('Could not check the index settings of the "' + collectionName + '" collection: ' + err.message);
+      return c();
+    }
+
+    checkSettingsDrift(client, indexName, esSettings, function(err) {
+      if (err) {
+        sails.log.warn('Could not check the index settings of the "' + collectionName + '" collection: ' + err.message);
+      }
+      c();
+    });
+  }, cb);
+};
 
 /**
  * waterline-elasticsearch
@@ -246,7 +590,7 @@ module.exports = (function () {
     // alter  => Drop/add columns as necessary.
     // safe   => Don't change anything (good for production DBs)
     //
-    syncable: false,
+    syncable: true,
 
     schema: false,
 
@@ -273,16 +617,31 @@ module.exports = (function () {
 
       // Add in logic here to initialize connection
       // e.g. connections[connection.identity] = new Database(connection, collections);
-      connections[connection.identity] = {
+      var registered = connections[connection.identity] = {
         config: connection,
         collections: collections || {}
       };
 
+      ignoreAttributeProperties(registered.collections);
+
       new Connection(connection, function(err, conn) {
-        if (err) return cb(err);
+        // The connection may have been torn down while connecting.
+        if (connections[connection.identity] !== registered) {
+          if (!err) conn.close();
+          return cb(err || errors.unknown('Connection was torn down while connecting.'));
+        }
+
+        if (err) {
+          delete connections[connection.identity];
+          return cb(err);
+        }
+
+        registered.connection = conn;
 
-        connections[connection.identity].connection = conn;
-        cb(null, conn);
+        // Warn about declared index settings that differ from the live ones.
+        checkConnectionDrift(connections, connection.identity, function() {
+          cb(null, conn);
+        });
       });
     },
 
@@ -303,19 +662,49 @@ module.exports = (function () {
         conn = null;
       }
       if (!conn) {
+        _.forEach(connections, function(connection) {
+          // Connections that are still connecting have no client to close.
+          if (connection.connection) connection.connection.close();
+        });
         connections = {};
         return cb();
       }
       if(!connections[conn]) return cb();
+      if (connections[conn].connection) connections[conn].connection.close();
       delete connections[conn];
       cb();
     },
 
 
-    // Return attributes
-    describe: function (connection, collection, cb) {
-			// Add in logic here to describe a collection (e.g. DESCRIBE TABLE logic)
-      return cb();
+    /**
+     * Describe the collection based on the live mapping of its type, with the
+     * fields translated back into Waterline attributes. Nothing is returned if
+     * the index or the mapping do not exist, so that Waterline knows that the
+     * collection needs to be defined.
+     */
+    describe: function (connectionName, collectionName, cb, index) {
+      var client    = getClient(connections, connectionName);
+      var indexName = getIndex(connections, connectionName, collectionName, index);
+      var typeName  = getType(connections, connectionName, collectionName);
+
+      client.indices.getMapping({
+        index:  indexName,
+        type:   typeName,
+        ignore: [404]
+      }, function(err, res) {
+        if (err) return cb(err);
+
+        // The response is keyed by the name of the physical index, which may
+        // differ from the requested one if an alias was used.
+        var indexMapping = _.find(res, function(value) {
+          return value && value.mappings != undefined;
+        });
+        if (indexMapping == undefined || indexMapping.mappings[typeName] == undefined) {
+          return cb();
+        }
+
+        return cb(null, mapping.toAttributes(indexMapping.mappings[typeName].properties));
+      });
     },
 
     /**
@@ -326,28 +715,73 @@ module.exports = (function () {
      *   priority="low"
      *   labels="api compliance"
      * )
-     * @Issue(
-     *   "Define this function using the 'createIndex' and the 'putMapping'
-     *   functions."
-     *   type="bug"
-     *   priority="normal"
-     *   labels="api compliance"
-     * )
      */
     define: function (connectionName, collectionName, definition, cb, index) {
+      var client     = getClient(connections, connectionName);
+      var indexName  = getIndex(connections, connectionName, collectionName, index);
+      var typeName   = getType(connections, connectionName, collectionName);
+      var esSettings = getIndexSettings(connections, connectionName, collectionName);
+      var properties = mapping.fromAttributes(getAttributes(connections, connectionName, collectionName));
+
+      // Make sure that the analyzers referenced by the mapping exist before
+      // creating anything.
+      var err = settings.validateAnalysis(properties, esSettings);
+      if (err) return cb(err);
+
+      // If the collection's records are spread over multiple indices that are
+      // created as records are written, an index template makes sure that they
+      // are created with the collection's settings and mapping.
+      if (indices.isPattern(indexName)) {
+        var body = {
+          index_patterns : indexName.split(','),
+          mappings       : {}
+        };
+        body.mappings[typeName] = {
+          properties: properties
+        };
+        if (esSettings != undefined) {
+          body.settings = esSettings;
+        }
+
+        return client.indices.putTemplate({
+          name: collectionName,
+          body: body
+        }, function(err, res) {
+          if (err) return cb(err);
+          return cb(null, res);
+        });
+      }
+
+      // The index may already exist if it is shared by multiple collections, in
+      // which case we only need to put the collection's mapping.
+      client.indices.exists({
+        index: indexName
+      }, function(err, res) {
+        if (err) return cb(err);
+
+        if (res == true) {
+          return adapter.putMapping(connectionName, collectionName, cb, index);
+        }
+
+        adapter.createIndex(connectionName, collectionName, undefined, function(err) {
+          if (err) return cb(err);
+          return adapter.putMapping(connectionName, collectionName, cb, index);
+        }, index);
+      });
     },
 
     /**
-     * @Issue(
-     *   "Allow defining the index settings as well in the model"
-     *   type="improvement"
-     *   priority="normal"
-     * )
+     * Create the collection's index. The index settings default to the ones
+     * declared by the model's 'indexSettings' property.
      */
-    createIndex: function (connectionName, collectionName, settings, cb, index) {
+    createIndex: function (connectionName, collectionName, esSettings, cb, index) {
       var client    = getClient(connections, connectionName);
       var indexName = getIndex(connections, connectionName, collectionName, index);
 
+      if (esSettings == undefined) {
+        esSettings = getIndexSettings(connections, connectionName, collectionName);
+      }
+
       // Check if the index exists first.
       client.indices.exists({
         index: indexName
@@ -355,18 +789,25 @@ module.exports = (function () {
         if (err) return cb(err);
 
         if (res == true) {
-          return cb(new Error('Index already exists.'));
+          return cb(errors.unknown('Index already exists.'));
         }
 
+        // The index is created as the first version of a physical index behind
+        // an alias with the requested name, so that it can later be reindexed
+        // without downtime.
         var body = {
-          index : indexName
+          aliases: {}
         };
+        body.aliases[indexName] = {};
 
-        if (settings != undefined) {
-          body.settings = settings;
+        if (esSettings != undefined) {
+          body.settings = esSettings;
         }
 
-        client.indices.create(body, function(err, res) {
+        client.indices.create({
+          index: aliases.versionedName(indexName, 1),
+          body:  body
+        }, function(err, res) {
           if (err) return cb(err);
           return cb(null, res);
         });
@@ -374,11 +815,9 @@ module.exports = (function () {
     },
 
     /**
-     * @Issue(
-     *   "Add mapping for createdAt and updatedAt fields, when autogenerated"
-     *   type="bug"
-     *   priority="low"
-     * )
+     * Put the mapping of the collection's type. The mapping of each attribute
+     * is derived from its Waterline type, unless it is given explicitly with
+     * the attribute's 'mapping' property.
      */
     putMapping: function (connectionName, collectionName, cb, index) {
       var client    = getClient(connections, connectionName);
@@ -389,84 +828,300 @@ module.exports = (function () {
       var attributes = getAttributes(connections, connectionName, collectionName);
 
       var body = {
-        properties: {}
+        properties: mapping.fromAttributes(attributes)
       };
 
-      // For each model's attribute that has the 'mapping' property defined, add
-      // the containing mapping to the request's body.
-      async.each(Object.keys(attributes), function(e, c) {
-        if (attributes[e].mapping != undefined) {
-          body.properties[e] = attributes[e].mapping;
-        }
-        c();
-      }, function(err) {
+      // If there was no mappings defined, no need to make a request.
+      if (_.isEmpty(body.properties)) {
+        return cb(null, 'No mapping defined for the ' + '"' + indexName + '" index.');
+      }
+
+      client.indices.putMapping({
+        index: indexName,
+        type:  typeName,
+        body:  body
+      }, function(err, res) {
         if (err) return cb(err);
+        return cb(null, res);
+      });
+    },
 
-        // If there was no mappings defined, no need to make a request.
-        if (_.isEmpty(body.properties)) {
-          return cb(null, 'No mapping defined for the ' + '"' + indexName + '" index.');
-        }
+    /**
+     * Drop the collection.
+     *
+     * If the collection has its own index, it is deleted. If the index is
+     * shared with other collections, as when the 'index' is set on the
+     * connection, only the collection's documents are deleted; Elastic Search
+     * does not allow deleting the mapping of a type from an existing index.
+     * The same applies to the indices of date pattern or tenant index
+     * strategies, since a pattern may match indices of other collections.
+     */
+    drop: function (connectionName, collectionName, relations, cb, index) {
+      var client    = getClient(connections, connectionName);
+      var indexName = getIndex(connections, connectionName, collectionName, index);
+      var typeName  = getType(connections, connectionName, collectionName);
 
-        // After all mappings have been added to the request's body, make the
-        // request.
-        client.indices.putMapping({
-          index: indexName,
-          type:  typeName,
-          body:  body
-        }, function(err, res) {
+      // Indices cannot be deleted through an alias; the physical indices it
+      // points to are deleted instead. An index that does not exist is
+      // considered to be dropped already.
+      if (!indices.isPattern(indexName) && !isSharedIndex(connections, connectionName, collectionName, indexName)) {
+        return aliases.getIndices(client, indexName, function(err, indexNames) {
           if (err) return cb(err);
-          return cb(null, res);
+
+          client.indices.delete({
+            index:  indexNames || indexName,
+            ignore: [404]
+          }, function(err, res) {
+            if (err) return cb(err);
+            return cb();
+          });
         });
+      }
+
+      client.deleteByQuery({
+        index:  indexName,
+        type:   typeName,
+        ignore: [404],
+        body:   {
+          query: {
+            match_all: {}
+          }
+        }
+      }, function(err, res) {
+        if (err) return cb(err);
+        return cb();
       });
     },
 
     /**
+     * Reindex the collection without downtime.
      *
-     * REQUIRED method if integrating with a schemaful
-     * (SQL-ish) database.
+     * A new version of the physical index behind the collection's alias is
+     * created with the current mapping of the model, the data is copied to it
+     * with the '_reindex' API, and the alias is then atomically swapped over to
+     * the new index. If anything fails before the alias is swapped, the new
+     * index is deleted and the alias keeps pointing to the current index.
      *
-     */
-    drop: function (connection, collection, relations, cb) {
-			// Add in logic here to delete a collection (e.g. DROP TABLE logic)
-			return cb();
-    },
-
-    /**
+     * Records written while reindexing is in progress are not copied to the
+     * new index, so writes should be paused until it completes.
      *
-     * REQUIRED method if users expect to call Model.find(), Model.findOne(),
-     * or related.
+     * Options:
+     *   - settings: the settings of the new index; defaults to the ones
+     *     declared by the model.
+     *   - onProgress: a function called periodically with the status of the
+     *     '_reindex' task, such as { total, created, updated, ... }.
+     *   - pollInterval: how often to check the progress, in milliseconds
+     *     (default 1000).
+     *   - pollRetries: how many times in a row checking the progress is
+     *     retried, if the cluster cannot be reached or times out (default 5).
+     *   - deleteOld: whether to delete the previous index once the alias has
+     *     been swapped (default false).
      *
-     * You should implement this method to respond with an array of instances.
+     * The callback receives { alias, from, to, status }; the name of the alias,
+     * the previous and the new physical indices, and the final status of the
+     * '_reindex' task.
+     */
+    reindex: function (connectionName, collectionName, options, cb, index) {
+      if (typeof options == 'function') {
+        index   = cb;
+        cb      = options;
+        options = {};
+      }
+      options = options || {};
+
+      var client    = getClient(connections, connectionName);
+      var alias     = getIndex(connections, connectionName, collectionName, index);
+      var typeName  = getType(connections, connectionName, collectionName);
+      var interval  = options.pollInterval || 1000;
+      var retries   = options.pollRetries != undefined ? options.pollRetries : 5;
+
+      if (indices.isPattern(alias)) {
+        return cb(errors.validation('Collections spread over multiple indices cannot be reindexed.'));
+      }
+
+      async.parallel({
+        current   : _.partial(aliases.getIndices, client, alias),
+        versioned : _.partial(aliases.getVersionedIndices, client, alias)
+      }, function(err, found) {
+        if (err) return cb(err);
+
+        var currentIndices = found.current;
+        if (!currentIndices) {
+          return cb(errors.validation('The "' + alias + '" index is not an alias, and cannot be reindexed without downtime.'));
+        }
+
+        // The next version is based on all existing versions rather than the
+        // current ones, so that an index left behind by a reindex that could
+        // not be rolled back is not reused.
+        var newIndex = aliases.nextIndex(alias, currentIndices.concat(found.versioned));
+
+        // Delete the new index, leaving the alias pointing to the current one.
+        // If the '_reindex' task has been started, it is cancelled first;
+        // otherwise it would create the new index again, with dynamic mapping,
+        // once it is deleted. If it cannot be cancelled, the new index is left
+        // in place and given in the error, along with the task.
+        var rollback = function(err, taskId) {
+          var deleteIndex = function() {
+            client.indices.delete({
+              index:  newIndex,
+              ignore: [404]
+            }, function() {
+              return cb(err);
+            });
+          };
+
+          if (taskId == undefined) {
+            return deleteIndex();
+          }
+
+          client.tasks.cancel({
+            taskId: taskId
+          }, function(cancelErr) {
+            if (cancelErr && cancelErr.status != 404) {
+              err.index  = newIndex;
+              err.taskId = taskId;
+              return cb(err);
+            }
+
+            deleteIndex();
+          });
+        };
+
+        var body = {
+          mappings: {}
+        };
+        body.mappings[typeName] = {
+          properties: mapping.fromAttributes(getAttributes(connections, connectionName, collectionName))
+        };
+        var esSettings = options.settings || getIndexSettings(connections, connectionName, collectionName);
+        if (esSettings != undefined) {
+          body.settings = esSettings;
+        }
+
+        client.indices.create({
+          index: newIndex,
+          body:  body
+        }, function(err) {
+          if (err) return cb(err);
+
+          client.reindex({
+            waitForCompletion: false,
+            body: {
+              source: {
+                index: currentIndices
+              },
+              dest: {
+                index: newIndex
+              }
+            }
+          }, function(err, res) {
+            if (err) return rollback(err);
+
+            // Poll the task until it completes, reporting its progress. Polls
+            // failing because the cluster cannot be reached or times out are
+            // retried, since the task keeps running regardless.
+            var failedPolls = 0;
+            var poll = function() {
+              client.tasks.get({
+                taskId: res.task
+              }, function(err, task) {
+                var transient = err && (err.code == 'E_UNAVAILABLE' || err.code == 'E_TIMEOUT');
+                if (transient && failedPolls < retries) {
+                  failedPolls++;
+                  return setTimeout(poll, interval * Math.pow(2, failedPolls - 1));
+                }
+                if (err) return rollback(err, res.task);
+
+                failedPolls = 0;
+
+                if (options.onProgress) {
+                  options.onProgress(task.task.status);
+                }
+
+                if (!task.completed) {
+                  return setTimeout(poll, interval);
+                }
+
+                if (task.error != undefined || (task.response && !_.isEmpty(task.response.failures))) {
+                  var error = errors.unknown('Reindexing "' + alias + '" into "' + newIndex + '" failed.');
+                  error.task = task;
+                  return rollback(error);
+                }
+
+                swap(task.task.status);
+              });
+            };
+
+            var swap = function(status) {
+              var actions = currentIndices.map(function(indexName) {
+                return {
+                  remove: {
+                    index: indexName,
+                    alias: alias
+                  }
+                };
+              });
+              actions.push({
+                add: {
+                  index: newIndex,
+                  alias: alias
+                }
+              });
+
+              client.indices.updateAliases({
+                body: {
+                  actions: actions
+                }
+              }, function(err) {
+                if (err) return rollback(err);
+
+                var result = {
+                  alias  : alias,
+                  from   : currentIndices,
+                  to     : newIndex,
+                  status : status
+                };
+
+                if (!options.deleteOld) {
+                  return cb(null, result);
+                }
+
+                client.indices.delete({
+                  index: currentIndices
+                }, function(err) {
+                  if (err) return cb(err);
+                  return cb(null, result);
+                });
+              });
+            };
+
+            poll();
+          });
+        });
+      });
+    },
+
+    /**
+     *
+     * REQUIRED method if users expect to call Model.find(), Model.findOne(),
+     * or related.
+     *
+     * You should implement this method to respond with an array of instances.
      * Waterline core will take care of supporting all the other different
      * find methods/usages.
      *
      */
     find: function (connectionName, collectionName, options, cb, index) {
-      var client    = getClient(connections, connectionName);
-      var indexName = getIndex(connections, connectionName, collectionName, index);
-      var typeName  = getType(connections, connectionName, collectionName);
+      var client          = getClient(connections, connectionName);
+      var indexName       = getIndex(connections, connectionName, collectionName, index, { criteria: options });
+      var typeName        = getType(connections, connectionName, collectionName);
+      var primaryKeyField = getPrimaryKeyField(connections, connectionName, collectionName);
 
-      // We translate the criteria into term filters. For this to work, the
-      // mapping for the model needs to define these fields as 'not_analyzed' fields.
-      // Otherwise, the 'search' function should be used instead.
+      // We translate the criteria into filters. For this to work, the mapping
+      // for the model needs to define these fields as exact-match fields, which
+      // is the default for string attributes. For full-text queries, the
+      // 'search' function should be used instead.
       /**
-       * @Issue(
-       *   "Check how we should be passing the primary key"
-       *   type="bug"
-       *   priority="normal"
-       *   labels="api compliance"
-       * )
-       * @Issue(
-       *   "Set fields to 'not_analyzed' by default, allowing to set them explicitly as 'analyzed'"
-       *   type="bug"
-       *   priority="normal"
-       * )
-       * @Issue(
-       *   "Allow setting a field to be both 'analyzed' and 'not_analyzed' using
-       *   'multi_field' field type"
-       *   type="bug"
-       *   priority="normal"
-       * )
        * @Issue(
        *   "Throw an error if a field included in the criteria is not defined as
        *   'not_analyzed'"
@@ -474,120 +1129,425 @@ module.exports = (function () {
        *   priority="normal"
        * )
        */
-      var body = {
-        query: {}
-      };
+      var body = {};
+
+      // Translate the 'where' criteria into a query. A 'match_all' query is
+      // issued if there are no criteria specified. Offset, limit and sorting
+      // are added to the query, if requested.
+      try {
+        body.query = criteria.buildQuery(options.where, primaryKeyField, getCriteriaOptions(connections, connectionName, collectionName, options));
+        addPagingAndSorting(body, options);
+      } catch (err) {
+        return cb(err);
+      }
+
+      // Aggregate criteria ('groupBy', 'sum' etc.) are translated into
+      // aggregations, and the records returned are built from their results
+      // instead of from the hits. Groups are retrieved a page at a time,
+      // until all of them have been.
+      if (aggregations.isAggregate(options)) {
+        var groups = [];
+        var aggregate = function(afterKey) {
+          var aggBody = _.assign(_.pick(body, 'query'), {
+            size: 0,
+            aggs: aggregations.buildAggregations(options, afterKey)
+          });
+
+          client.search(getReadParams(connections, connectionName, collectionName, index, {
+            index: indexName,
+            type:  typeName,
+            body:  aggBody
+          }), function(err, res) {
+            if (err) return cb(err);
+
+            groups = groups.concat(aggregations.toRecords(res.aggregations, options));
+
+            var nextKey = aggregations.nextPage(res.aggregations, options);
+            if (nextKey != undefined) {
+              return aggregate(nextKey);
+            }
+
+            return cb(null, groups);
+          });
+        };
+
+        return aggregate();
+      }
+
+      if (hasMetadata(connections, connectionName)) {
+        body.version = true;
+      }
+
+      var hitToModel = getHitToModel(connections, connectionName, collectionName);
 
-      // Issue a 'match_all' query if there are no 'where' criteria specified.
-      if (options.where) {
-        body.query.bool = {
-          filter: []
+      var respond = function(hits, total) {
+        var results = hits.map(hitToModel);
+
+        // When paginating with a cursor, each record carries the cursor
+        // for continuing after it.
+        if (options.cursor != undefined) {
+          results.forEach(function(result, i) {
+            result._cursor = hits[i].sort;
+          });
         }
-      } else {
-        body.query['match_all'] = {};
+
+        // When sorting by distance, each record carries its distance from
+        // the origin.
+        var distanceSort = _.findIndex(body.sort, '_geo_distance');
+        if (distanceSort != -1) {
+          results.forEach(function(result, i) {
+            result._distance = hits[i].sort[distanceSort];
+          });
+        }
+
+        // Expose the total number of matching records, if requested.
+        if (options.total) {
+          results.total = total;
+        }
+
+        return cb(null, results);
       };
 
-      // Add term filters based on the given criteria.
-      for (field in options.where) {
-        var fieldParts      = field.split('.');
-        var fieldPartsCount = fieldParts.length;
-
-        // If the field is not nested, add a term filter.
-        if (fieldPartsCount == 1) {
-          var termFilter = smartTermOrTermsQuery(field, options.where[field]);
-          body.query.bool.filter.push(termFilter);
-        } else {
-          // If the field is nested, construct a nested query with a term
-          // filter at its last level. It can possibly be multi-level.
-          var termFilter = smartTermOrTermsQuery(field, options.where[field]);
-          fieldParts.pop();
-
-          var nestedQuery = {};
-          fieldParts.reduce(function(result, value, key, collection) {
-            var path = result[0] ? result[0] + '.' + value : value;
-            result[1].nested = { path  : path };
-
-            if (key < fieldPartsCount - 2) {
-              result[1].nested.query = {};
-              return [path, result[1].nested.query, termFilter];
-            }
+      // Hits beyond the index's 'max_result_window' cannot be retrieved with
+      // 'from' and 'size', so they are scrolled through instead. Scrolling
+      // does not support an offset, so the skipped hits are dropped from the
+      // results.
+      var skip            = body.from || 0;
+      var maxResultWindow = getMaxResultWindow(connections, connectionName, collectionName);
 
-            // If we have reached the point where 'key == fieldPartsCount - 2',
-            // then we are at the last iteration.
-            result[1].nested.query = {
-              bool: {
-                filter: termFilter
-              }
-            };
-            return;
-          }, ['', nestedQuery, termFilter]);
-          body.query.bool.filter.push(nestedQuery);
+      var scrollAll = function() {
+        delete body.from;
+        delete body.size;
+        body.sort = body.sort || ['_doc'];
+
+        scroll.all(client, getSearchParams(connections, connectionName, getReadParams(connections, connectionName, collectionName, index, {
+          index: indexName,
+          type:  typeName,
+          body:  body
+        })), function(err, hits) {
+          if (err) return cb(err);
+
+          var end = options.limit != undefined ? skip + options.limit : undefined;
+          return respond(hits.slice(skip, end), hits.length);
+        });
+      };
+
+      // Without a limit, all matching records are expected, e.g. by
+      // 'findOne' or when Waterline backs up a collection before altering
+      // it. They are retrieved with a single search if they fit in the
+      // window.
+      var unlimited = options.limit == undefined && options.cursor == undefined;
+
+      if (unlimited) {
+        if (skip >= maxResultWindow) {
+          return scrollAll();
         }
+        body.size = maxResultWindow - skip;
+      } else if (options.cursor == undefined && skip + options.limit > maxResultWindow) {
+        return scrollAll();
       }
 
-      // Add offset and limit to the query, if requested.
-      if (options.skip != undefined) {
-        body.from = options.skip;
+      client.search(getSearchParams(connections, connectionName, getReadParams(connections, connectionName, collectionName, index, {
+        index: indexName,
+        type:  typeName,
+        body:  body
+      })), function(err, res) {
+        if (err) return cb(err);
+
+        // A full window may not hold all of the matching hits.
+        if (unlimited && res.hits.hits.length == body.size) {
+          return scrollAll();
+        }
+
+        return respond(res.hits.hits, getTotal(res));
+      });
+    },
+
+    /**
+     * Find the records matching the given criteria, along with the total
+     * number of matching records regardless of 'skip' and 'limit', in a single
+     * request. The results are given as { records, total }.
+     */
+    findAndCount: function (connectionName, collectionName, options, cb, index) {
+      adapter.find(connectionName, collectionName, _.assign({}, options, { total: true }), function(err, results) {
+        if (err) return cb(err);
+
+        return cb(null, {
+          records : results,
+          total   : results.total
+        });
+      }, index);
+    },
+
+    /**
+     * Find the records matching the given criteria and populate their
+     * associations, for the Waterline 'associations' interface.
+     *
+     * The children of all records are retrieved with a single request per
+     * association, instead of one per record. See lib/join.js.
+     */
+    join: function (connectionName, collectionName, options, cb) {
+      var client = getClient(connections, connectionName);
+
+      var store = {
+        find: function(collectionName, options, cb) {
+          adapter.find(connectionName, collectionName, options, cb);
+        },
+        findAll: function(collectionName, options, cb) {
+          var primaryKeyField = getPrimaryKeyField(connections, connectionName, collectionName);
+          var body            = {};
+
+          try {
+            body.query = criteria.buildQuery(options.where, primaryKeyField, getCriteriaOptions(connections, connectionName, collectionName));
+            body.sort  = getSort(options.sort) || ['_doc'];
+          } catch (err) {
+            return cb(err);
+          }
+
+          scroll.all(client, getSearchParams(connections, connectionName, getReadParams(connections, connectionName, collectionName, undefined, {
+            index: getIndex(connections, connectionName, collectionName, undefined, { criteria: options }),
+            type:  getType(connections, connectionName, collectionName),
+            body:  body
+          })), function(err, hits) {
+            if (err) return cb(err);
+            return cb(null, hits.map(getHitToModel(connections, connectionName, collectionName)));
+          });
+        },
+        mget: function(collectionName, primaryKeys, cb) {
+          adapter.mget(connectionName, collectionName, primaryKeys, cb);
+        },
+        primaryKey: function(collectionName) {
+          return getPrimaryKeyField(connections, connectionName, collectionName);
+        },
+        value: function(collectionName, record, field) {
+          return record[field];
+        }
+      };
+
+      join.join(collectionName, options, store, cb);
+    },
+
+    /**
+     * Count the records matching the given criteria, using the '_count' API.
+     */
+    count: function (connectionName, collectionName, options, cb, index) {
+      options = options || {};
+
+      var client          = getClient(connections, connectionName);
+      var indexName       = getIndex(connections, connectionName, collectionName, index, { criteria: options });
+      var typeName        = getType(connections, connectionName, collectionName);
+      var primaryKeyField = getPrimaryKeyField(connections, connectionName, collectionName);
+
+      var body = {};
+
+      try {
+        body.query = criteria.buildQuery(options.where, primaryKeyField, getCriteriaOptions(connections, connectionName, collectionName));
+      } catch (err) {
+        return cb(err);
       }
-      if (options.limit != undefined) {
-        body.size = options.limit;
+
+      client.count(getReadParams(connections, connectionName, collectionName, index, {
+        index: indexName,
+        type:  typeName,
+        body:  body
+      }), function(err, res) {
+        if (err) return cb(err);
+        return cb(null, res.count);
+      });
+    },
+
+    /**
+     * Stream the records matching the given criteria, for the Waterline
+     * 'stream' interface. The records are retrieved using the scroll API, so
+     * there is no limit to how many can be streamed.
+     */
+    stream: function (connectionName, collectionName, options, stream, index) {
+      var records = adapter.scroll(connectionName, collectionName, options, undefined, index);
+
+      records.on('data', function(record) {
+        stream.write(record);
+      });
+      records.on('end', function() {
+        stream.end();
+      });
+      records.on('error', function(err) {
+        stream.emit('error', err);
+      });
+    },
+
+    /**
+     * Get a readable stream of the records matching the given criteria, using
+     * the scroll API. The 'where' and 'sort' criteria are applied, while
+     * 'limit' limits the number of records streamed in total.
+     *
+     * The stream is returned, and also passed to the callback, if given.
+     */
+    scroll: function (connectionName, collectionName, options, cb, index) {
+      options = options || {};
+
+      var client          = getClient(connections, connectionName);
+      var indexName       = getIndex(connections, connectionName, collectionName, index, { criteria: options });
+      var typeName        = getType(connections, connectionName, collectionName);
+      var primaryKeyField = getPrimaryKeyField(connections, connectionName, collectionName);
+
+      var body = {};
+
+      if (hasMetadata(connections, connectionName)) {
+        body.version = true;
       }
 
-      // Add sorting, if requested.
-      if (options.sort != undefined) {
-        var sortFields = Object.keys(options.sort);
-        if (sortFields.length) {
-          var sorts = [];
+      var records = scroll.createStream(client, getSearchParams(connections, connectionName, getReadParams(connections, connectionName, collectionName, index, {
+        index: indexName,
+        type:  typeName,
+        body:  body
+      })), {
+        limit     : options.limit,
+        transform : getHitToModel(connections, connectionName, collectionName)
+      });
 
-          // We could have multiple sort criteria - add each one of them in the
-          // order provided.
-          sortFields.forEach(function(sortField) {
-            var sortQuery = {};
-            sortQuery[sortField] = {
-              order: options.sort[sortField] == 1 ? 'asc' : 'desc'
-            }
-            sorts.push(sortQuery);
-          });
+      // Errors in the criteria are emitted by the stream, since it is returned
+      // synchronously. Sorting by '_doc' is the most efficient order, when no
+      // specific order is requested.
+      try {
+        body.query = criteria.buildQuery(options.where, primaryKeyField, getCriteriaOptions(connections, connectionName, collectionName));
+        body.sort  = getSort(options.sort) || ['_doc'];
+      } catch (err) {
+        records.destroy(err);
+      }
+
+      if (cb) cb(null, records);
+      return records;
+    },
+
+    /**
+     * Full-text search, returning the matching records along with their
+     * relevance scores.
+     *
+     * The query can be either raw Elastic Search query DSL, or in the
+     * simplified form { q, fields, fuzziness, operator }. The 'where', 'skip',
+     * 'limit' and 'sort' options are applied in the same way as in 'find'; the
+     * 'where' criteria are used as filters and do not affect scoring. Results
+     * are ordered by relevance, unless a sort is requested.
+     *
+     * The 'highlight' option requests highlighted fragments of the matching
+     * fields, which are included in each record's '_highlight' property. The
+     * 'suggest' option requests suggestions, e.g. for autocompletion or "did
+     * you mean", which are included in the 'suggestions' property of the
+     * results. See lib/search.js.
+     */
+    search: function (connectionName, collectionName, query, options, cb, index) {
+      if (typeof options == 'function') {
+        index   = cb;
+        cb      = options;
+        options = {};
+      }
+      options = options || {};
+
+      var client          = getClient(connections, connectionName);
+      var indexName       = getIndex(connections, connectionName, collectionName, index, { criteria: options });
+      var typeName        = getType(connections, connectionName, collectionName);
+      var primaryKeyField = getPrimaryKeyField(connections, connectionName, collectionName);
+
+      var body = {};
+
+      // Add offset, limit and sorting to the query, if requested.
+      try {
+        body.query = search.buildQuery(query, options.where, primaryKeyField, getCriteriaOptions(connections, connectionName, collectionName, options));
+        addPagingAndSorting(body, options);
 
-          body.sort = sorts;
+        if (options.suggest != undefined) {
+          body.suggest = search.buildSuggest(options.suggest, query);
         }
+      } catch (err) {
+        return cb(err);
+      }
+
+      if (options.highlight != undefined) {
+        body.highlight = search.buildHighlight(options.highlight);
+      }
+
+      if (hasMetadata(connections, connectionName)) {
+        body.version = true;
       }
 
-      client.search({
+      client.search(getSearchParams(connections, connectionName, getReadParams(connections, connectionName, collectionName, index, {
         index: indexName,
         type:  typeName,
         body:  body
-      }, function(err, res) {
+      })), function(err, res) {
         if (err) return cb(err);
 
-        /**
-         * @Issue(
-         *   "Check whether we should be returning the an object that
-         *   corresponds to the model instead of simply the values"
-         *   type="bug"
-         *   priority="normal"
-         *   labels="api compliance"
-         * )
-         */
-        getHits(res, function(err, results) {
-          if (err) return cb(err);
-          return cb(null, results);
+        // Include each record's relevance score and highlights in the
+        // results.
+        var hitToModel = getHitToModel(connections, connectionName, collectionName);
+        var results = res.hits.hits.map(function(hit) {
+          var result = hitToModel(hit);
+          result._score = hit._score;
+          if (hit.highlight != undefined) {
+            result._highlight = hit.highlight;
+          }
+          return result;
         });
+
+        if (options.suggest != undefined) {
+          results.suggestions = search.normaliseSuggestions(res.suggest, hitToModel);
+        }
+
+        return cb(null, results);
       });
     },
 
     /**
+     * Run the given Elastic Search aggregations on the records matching the
+     * 'where' criteria, and return their normalised results.
+     *
+     * The results are keyed by the name of each aggregation. Buckets are always
+     * returned as arrays, and document counts are returned as 'docCount'.
+     */
+    aggregate: function (connectionName, collectionName, options, aggs, cb, index) {
+      options = options || {};
+
+      var client          = getClient(connections, connectionName);
+      var indexName       = getIndex(connections, connectionName, collectionName, index, { criteria: options });
+      var typeName        = getType(connections, connectionName, collectionName);
+      var primaryKeyField = getPrimaryKeyField(connections, connectionName, collectionName);
+
+      var body = {
+        size: 0,
+        aggs: aggs
+      };
+
+      try {
+        body.query = criteria.buildQuery(options.where, primaryKeyField, getCriteriaOptions(connections, connectionName, collectionName));
+      } catch (err) {
+        return cb(err);
+      }
+
+      client.search(getReadParams(connections, connectionName, collectionName, index, {
+        index: indexName,
+        type:  typeName,
+        body:  body
+      }), function(err, res) {
+        if (err) return cb(err);
+        return cb(null, aggregations.normalise(res.aggregations));
+      });
+    },
+
+    /**
+     * Create a record. If the values include the primary key, it is used as
+     * the document's id and creating fails if a record with the same primary
+     * key exists already. Otherwise, the id is generated by Elastic Search.
+     *
+     * The 'refresh', 'waitForActiveShards' and 'timeout' write options can be
+     * given in the '_options' property of the values, overriding the defaults
+     * set on the connection.
+     *
      * @Issue(
      *   "Support auto-incremental primary key generation"
      *   type="improvement"
      *   priority="low"
      * )
      * @Issue(
-     *   "Support passing on a custom primary key"
-     *   type="improvement"
-     *   priority="low"
-     * )
-     * @Issue(
      *   "Store the createdAt and updatedAt fields to Elastic Search compatible
      *   date formats"
      *   type="improvement"
@@ -595,130 +1555,611 @@ module.exports = (function () {
      * )
      */
     create: function (connectionName, collectionName, values, cb, index) {
-      var client    = getClient(connections, connectionName);
-      var indexName = getIndex(connections, connectionName, collectionName, index);
-      var typeName  = getType(connections, connectionName, collectionName);
+      var client          = getClient(connections, connectionName);
+      var typeName        = getType(connections, connectionName, collectionName);
+      var primaryKeyField = getPrimaryKeyField(connections, connectionName, collectionName);
 
-      // Restrict values of sub-attributes (for 'json' attributes) according to
-      // the attribute's definition.
-      var attributes       = getAttributes(connections, connectionName, collectionName);
-      var restrictedValues = restrictAttributes(attributes, values);
+      // The index may depend on the record's values.
+      try {
+        var indexName = getIndex(connections, connectionName, collectionName, index, {
+          operation : 'write',
+          record    : values
+        });
+      } catch (err) {
+        return cb(err);
+      }
 
-      client.index({
-        index: indexName,
-        type:  typeName,
-        body:  restrictedValues
-      }, function(err, res) {
-        if (err) return cb(err);
+      // Validate and filter the values of 'json' attributes according to their
+      // sub-schemas.
+      var attributes = getAttributes(connections, connectionName, collectionName);
 
-        // If we have no error, the response should contain the id of the
-        // created record. Get the record and return it.
-        /**
-         * @Issue(
-         *   "Consider constructing the record from the given values and the
-         *   id returned in the response"
-         *   type="improvement"
-         *   priority="low"
-         *   labels="performance"
-         * )
-         */
-        client.get({
+      try {
+        var params = _.assign({
           index: indexName,
           type:  typeName,
-          id:    res._id
-        }, function(err, res) {
-          if (err) return cb(err);
-          return cb(null, hitToModel(res));
+          body:  records.toSource(schema.apply(attributes, values), getModel(connections, connectionName, collectionName))
+        }, getWriteParams(connections, connectionName, values._options));
+      } catch (err) {
+        return cb(err);
+      }
+
+      if (values[primaryKeyField] != undefined) {
+        params.id     = values[primaryKeyField];
+        params.opType = 'create';
+      }
+
+      client.index(params, function(err, res) {
+        if (err && err.status == 409 && params.opType == 'create') {
+          return cb(errors.unique(params.id, err));
+        }
+        if (err) return cb(err);
+
+        // Construct the created record from the given values and the id
+        // returned in the response, so that we don't need to get it.
+        return cb(null, getHitToModel(connections, connectionName, collectionName)({
+          _index        : res._index,
+          _id           : res._id,
+          _version      : res._version,
+          _seq_no       : res._seq_no,
+          _primary_term : res._primary_term,
+          _source       : params.body
+        }));
+      });
+    },
+
+    /**
+     * Create multiple records using the '_bulk' API.
+     *
+     * As with 'create', primary keys included in the values are used as the
+     * documents' ids.
+     *
+     * A failed record does not prevent the rest from being created. If any
+     * records failed, the error passed to the callback lists them in its
+     * 'failures' property, and the records that were created in its 'records'
+     * property.
+     */
+    createEach: function (connectionName, collectionName, valuesList, cb, index) {
+      var client          = getClient(connections, connectionName);
+      var typeName        = getType(connections, connectionName, collectionName);
+      var primaryKeyField = getPrimaryKeyField(connections, connectionName, collectionName);
+
+      // Validate and filter the values of 'json' attributes according to their
+      // sub-schemas.
+      var attributes = getAttributes(connections, connectionName, collectionName);
+
+      // Each record may be written to a different index, depending on its
+      // values.
+      try {
+        var operations = valuesList.map(function(values) {
+          var primaryKey = values[primaryKeyField];
+
+          return {
+            action : primaryKey != undefined ? 'create' : 'index',
+            index  : getIndex(connections, connectionName, collectionName, index, {
+              operation : 'write',
+              record    : values
+            }),
+            id     : primaryKey,
+            body   : records.toSource(schema.apply(attributes, values), getModel(connections, connectionName, collectionName))
+          };
+        });
+      } catch (err) {
+        return cb(err);
+      }
+
+      // Write options given with any of the records apply to the whole batch.
+      var writeOptions = _.assign.apply(_, [{}].concat(_.map(valuesList, '_options')));
+
+      bulk.execute(client, _.assign({
+        type: typeName
+      }, getWriteParams(connections, connectionName, writeOptions)), operations, getBulkOptions(connections, connectionName), function(err, items) {
+        if (!items) return cb(err);
+
+        // Construct the created records from the given values and the ids
+        // returned in the response, so that we don't need to get them.
+        var hitToModel = getHitToModel(connections, connectionName, collectionName);
+        var created    = [];
+        items.forEach(function(item, i) {
+          if (item.error == undefined) {
+            created.push(hitToModel({
+              _index        : item._index,
+              _id           : item._id,
+              _version      : item._version,
+              _seq_no       : item._seq_no,
+              _primary_term : item._primary_term,
+              _source       : operations[i].body
+            }));
+          }
         });
+
+        if (err) {
+          // Records that were given a primary key are created only if no
+          // record with the same primary key exists.
+          if (err.failures && _.every(err.failures, { status: 409 })) {
+            err.code = 'E_UNIQUE';
+          }
+          err.records = created;
+          return cb(err);
+        }
+
+        return cb(null, created);
       });
     },
 
+    /**
+     * Update the records matching the given criteria, and return them.
+     *
+     * If the criteria consist of a single primary key, the record is updated
+     * directly. Otherwise, the ids of the matching records are looked up first
+     * and the records are then updated in bulk. Partial document updates, as
+     * well as returning the updated records, require the ids of the records,
+     * which is why '_update_by_query' is not used.
+     *
+     * If the '_seqNo' and '_primaryTerm' of a record retrieved earlier are
+     * given, either in the criteria or along with the values, the update fails
+     * with an 'E_CONFLICT' error if the record has been changed in the
+     * meantime. The criteria must then consist of the record's primary key.
+     * Otherwise, the 'retryOnConflict' option of the criteria or the
+     * connection sets how many times an update that conflicts with a
+     * concurrent one is retried.
+     *
+     * The 'refresh', 'waitForActiveShards' and 'timeout' write options can be
+     * given in the criteria, overriding the defaults set on the connection.
+     */
     update: function (connectionName, collectionName, options, values, cb, index) {
+      options = getWriteCriteria(connections, connectionName, collectionName, options);
+
       var client          = getClient(connections, connectionName);
-      var indexName       = getIndex(connections, connectionName, collectionName, index);
+      var indexName       = getIndex(connections, connectionName, collectionName, index, { criteria: options });
       var typeName        = getType(connections, connectionName, collectionName);
       var primaryKeyField = getPrimaryKeyField(connections, connectionName, collectionName);
 
-      // Restrict values of sub-attributes (for 'json' attributes) according to
-      // the attribute's definition.
-      var attributes       = getAttributes(connections, connectionName, collectionName);
-      var restrictedValues = restrictAttributes(attributes, values);
+      // Validate and filter the values of 'json' attributes according to their
+      // sub-schemas. The primary key is the document's id, and it cannot be
+      // changed.
+      var attributes = getAttributes(connections, connectionName, collectionName);
 
-      /**
-       * @Issue(
-       *   "Support updating multiple records based on waterline criteria"
-       *   type="improvement"
-       *   priority="normal"
-       *   labels="api compliance"
-       * )
-       */
-      if (options.where[primaryKeyField] == undefined) {
-        return cb(new Error('You must specify the primary key of the record you wish to delete.'));
+      try {
+        var restrictedValues = records.toSource(schema.apply(attributes, values), getModel(connections, connectionName, collectionName));
+      } catch (err) {
+        return cb(err);
+      }
+
+      var where = options.where || {};
+
+      // Conditional updates apply to a single record.
+      try {
+        var concurrency = getUpdateConcurrency(connections, connectionName, options, values);
+      } catch (err) {
+        return cb(err);
+      }
+
+      if (concurrency.ifSeqNo != undefined && !isSinglePrimaryKey(where, primaryKeyField)) {
+        return cb(errors.validation('Updating a record conditionally on its "_seqNo" requires criteria consisting of its primary key.'));
+      }
+
+      // Records can only be updated directly if they are in a single index.
+      if (isSinglePrimaryKey(where, primaryKeyField) && !indices.isPattern(indexName)) {
+        return client.update(_.assign({
+          index: indexName,
+          type:  typeName,
+          id:    where[primaryKeyField],
+          body:  {
+            doc: restrictedValues
+          }
+        }, concurrency, getWriteParams(connections, connectionName, options)), function(err, res) {
+          if (err && err.status == 409 && concurrency.ifSeqNo != undefined) {
+            return cb(errors.conflict(where[primaryKeyField], err));
+          }
+
+          // A record that does not exist is not matched. If it was retrieved
+          // earlier, it has been deleted since.
+          if (err && err.status == 404) {
+            return concurrency.ifSeqNo != undefined ? cb(errors.conflict(where[primaryKeyField], err)) : cb(null, []);
+          }
+          if (err) return cb(err);
+
+          // If we have no error, the response should contain the id of the
+          // updated record. Get the record and return it.
+          client.get({
+            index: indexName,
+            type:  typeName,
+            id:    res._id
+          }, function(err, res) {
+            if (err) return cb(err);
+            return cb(null, [getHitToModel(connections, connectionName, collectionName)(res)]);
+          });
+        });
       }
 
-      client.update({
+      getMatchingHits(client, getReadParams(connections, connectionName, collectionName, index, {
         index: indexName,
-        type:  typeName,
-        id:    options.where[primaryKeyField],
-        body:  {
-          doc: restrictedValues
-        }
-      }, function(err, res) {
+        type:  typeName
+      }), where, primaryKeyField, getCriteriaOptions(connections, connectionName, collectionName), function(err, hits) {
         if (err) return cb(err);
 
-        // If we have no error, the response should contain the id of the
-        // updated record. Get the record and return it.
-        client.get({
+        if (!hits.length) {
+          return cb(null, []);
+        }
+
+        // Each record is updated in the index it was found in. Records given
+        // by their primary keys are not looked up, so the ones that do not
+        // exist are not matched rather than failed.
+        var operations = hits.map(function(hit) {
+          return _.assign({
+            action : 'update',
+            index  : hit._index,
+            id     : hit._id,
+            body   : {
+              doc: restrictedValues
+            }
+          }, concurrency);
+        });
+
+        var bulkOptions = _.assign(getBulkOptions(connections, connectionName), {
+          ignore: [404]
+        });
+
+        bulk.execute(client, _.assign({
+          type: typeName
+        }, getWriteParams(connections, connectionName, options)), operations, bulkOptions, function(err, items) {
+          if (!items) return cb(err);
+
+          if (err && err.failures[0].status == 409 && concurrency.ifSeqNo != undefined) {
+            return cb(errors.conflict(where[primaryKeyField], err));
+          }
+
+          // Get the records that were updated and return them.
+          client.mget({
+            type: typeName,
+            body: {
+              docs: hits.map(function(hit) {
+                return {
+                  _index : hit._index,
+                  _id    : hit._id
+                };
+              })
+            }
+          }, function(mgetErr, res) {
+            if (mgetErr) return cb(mgetErr);
+
+            getFound(res, getHitToModel(connections, connectionName, collectionName), function(mgetErr, results) {
+              if (mgetErr) return cb(mgetErr);
+
+              var records = _.filter(results, function(result, i) {
+                return result !== false && items[i].error == undefined;
+              });
+
+              if (err) {
+                err.records = records;
+                return cb(err);
+              }
+
+              return cb(null, records);
+            });
+          });
+        });
+      });
+    },
+
+    /**
+     * Atomically update a record by its primary key, using operators such as
+     * '$inc', '$push' and '$pull' that are applied to its current values (see
+     * lib/scripts.js). The updated record is returned.
+     *
+     *   Product.atomicUpdate(id, { $inc: { stock: -1 }, $push: { tags: 'sale' } }, cb);
+     *
+     * Options:
+     *   - upsert: create the record if it does not exist, with the
+     *     '$setOnInsert' values and the rest of the operators applied to them.
+     *   - retryOnConflict: how many times to retry if the record is changed
+     *     concurrently; defaults to the connection's 'retryOnConflict'.
+     *   - _seqNo / _primaryTerm: fail with an 'E_CONFLICT' error if the record
+     *     has been changed since it was retrieved, as with 'update'.
+     *   - refresh / waitForActiveShards / timeout: write options, as with
+     *     'update'.
+     */
+    atomicUpdate: function (connectionName, collectionName, primaryKey, operations, options, cb, index) {
+      if (typeof options == 'function') {
+        index   = cb;
+        cb      = options;
+        options = {};
+      }
+      options = options || {};
+
+      var client          = getClient(connections, connectionName);
+      var typeName        = getType(connections, connectionName, collectionName);
+      var primaryKeyField = getPrimaryKeyField(connections, connectionName, collectionName);
+
+      if (primaryKey == undefined) {
+        return cb(new Error('You must specify the primary key of the record you wish to update.'));
+      }
+
+      var body = {
+        _source: true
+      };
+
+      // The values stored are validated and converted the same way as the
+      // values of an update.
+      var attributes = getAttributes(connections, connectionName, collectionName);
+      var model      = getModel(connections, connectionName, collectionName);
+
+      try {
+        operations = scripts.convertValues(operations, primaryKeyField, function(values) {
+          return records.toSource(schema.apply(attributes, values), model);
+        });
+        body.script = scripts.buildScript(operations, primaryKeyField);
+      } catch (err) {
+        return cb(err);
+      }
+
+      if (options.upsert) {
+        body.upsert = scripts.buildUpsert(operations);
+      }
+
+      try {
+        var concurrency = getUpdateConcurrency(connections, connectionName, options);
+      } catch (err) {
+        return cb(err);
+      }
+
+      var where = {};
+      where[primaryKeyField] = primaryKey;
+      var indexName = getIndex(connections, connectionName, collectionName, index, { criteria: { where: where } });
+
+      var execute = function(indexName) {
+        client.update(_.assign({
           index: indexName,
           type:  typeName,
-          id:    res._id
-        }, function(err, res) {
+          id:    primaryKey,
+          body:  body
+        }, concurrency, getWriteParams(connections, connectionName, options)), function(err, res) {
+          if (err && err.status == 409 && concurrency.ifSeqNo != undefined) {
+            return cb(errors.conflict(primaryKey, err));
+          }
+          if (err && err.status == 404) {
+            return cb(errors.notFound(primaryKey, err));
+          }
           if (err) return cb(err);
-          return cb(null, hitToModel(res));
+
+          // The updated document is included in the response, so that we
+          // don't need to get it.
+          return cb(null, getHitToModel(connections, connectionName, collectionName)({
+            _index        : res._index,
+            _id           : res._id,
+            _version      : res._version,
+            _seq_no       : res._seq_no,
+            _primary_term : res._primary_term,
+            _source       : res.get._source
+          }));
         });
+      };
+
+      if (!indices.isPattern(indexName)) {
+        return execute(indexName);
+      }
+
+      // Records can only be updated in a single index; find the index of the
+      // record, or determine the index of the one to be created.
+      searchByIds(client, {
+        index: indexName,
+        type:  typeName
+      }, [primaryKey], function(err, hits) {
+        if (err) return cb(err);
+
+        if (hits.length) {
+          return execute(hits[0]._index);
+        }
+
+        if (!options.upsert) {
+          return cb(errors.notFound(primaryKey));
+        }
+
+        try {
+          execute(getIndex(connections, connectionName, collectionName, index, {
+            operation : 'write',
+            record    : _.assign({}, body.upsert, where)
+          }));
+        } catch (err) {
+          return cb(err);
+        }
       });
     },
 
+    /**
+     * Destroy the records matching the given criteria, and return them.
+     *
+     * The matching records are retrieved first so that they can be returned,
+     * and they are then deleted in bulk by their ids. This makes sure that
+     * exactly the records returned are deleted, which would not be the case
+     * with '_delete_by_query' if records were changed in the meantime. Records
+     * given by their primary keys are retrieved by id rather than searched
+     * for, so they are found even before the index is refreshed.
+     *
+     * As with 'update', the '_seqNo' and '_primaryTerm' of a record retrieved
+     * earlier can be given in the criteria, in which case destroying fails
+     * with an 'E_CONFLICT' error if the record has been changed since. The
+     * write options can be given in the criteria as well.
+     */
     destroy: function (connectionName, collectionName, options, cb, index) {
-      var client    = getClient(connections, connectionName);
-      var indexName = getIndex(connections, connectionName, collectionName, index);
-      var typeName  = getType(connections, connectionName, collectionName);
+      options = getWriteCriteria(connections, connectionName, collectionName, options);
 
-      /**
-       * @Issue(
-       *   "Support deleting multiple records based on waterline criteria"
-       *   type="improvement"
-       *   priority="normal"
-       *   labels="api compliance"
-       * )
-       */
-      if (options.where.primaryKey == undefined) {
-        return cb(new Error('You must specify the primary key of the record you wish to delete.'));
+      var client          = getClient(connections, connectionName);
+      var indexName       = getIndex(connections, connectionName, collectionName, index, { criteria: options });
+      var typeName        = getType(connections, connectionName, collectionName);
+      var primaryKeyField = getPrimaryKeyField(connections, connectionName, collectionName);
+
+      var where = options.where || {};
+
+      try {
+        var concurrency = getConcurrencyToken(options);
+      } catch (err) {
+        return cb(err);
       }
 
-      client.delete({
+      if (concurrency != undefined && !isSinglePrimaryKey(where, primaryKeyField)) {
+        return cb(errors.validation('Destroying a record conditionally on its "_seqNo" requires criteria consisting of its primary key.'));
+      }
+
+      var hitToModel  = getHitToModel(connections, connectionName, collectionName);
+      var writeParams = getWriteParams(connections, connectionName, options);
+
+      // Delete the given hits in bulk, each from the index it was found in,
+      // and return them as records.
+      var deleteHits = function(hits) {
+        if (!hits.length) {
+          return cb(null, []);
+        }
+
+        var operations = hits.map(function(hit) {
+          return _.assign({
+            action : 'delete',
+            index  : hit._index,
+            id     : hit._id
+          }, concurrency);
+        });
+        var records = hits.map(hitToModel);
+
+        bulk.execute(client, _.assign({
+          type: typeName
+        }, writeParams), operations, getBulkOptions(connections, connectionName), function(err, items) {
+          if (!items) return cb(err);
+
+          if (err && err.failures[0].status == 409 && concurrency != undefined) {
+            return cb(errors.conflict(where[primaryKeyField], err));
+          }
+
+          if (err) {
+            err.records = _.filter(records, function(record, i) {
+              return items[i].error == undefined;
+            });
+            return cb(err);
+          }
+
+          return cb(null, records);
+        });
+      };
+
+      // Records given by their primary keys in a single index are retrieved
+      // with the realtime 'get' and 'mget' APIs rather than searched for, so
+      // that records that have not been refreshed yet are destroyed too.
+      if (isSinglePrimaryKey(where, primaryKeyField) && !indices.isPattern(indexName)) {
+        var primaryKey = where[primaryKeyField];
+
+        return client.get({
+          index: indexName,
+          type:  typeName,
+          id:    primaryKey
+        }, function(err, res) {
+          // A record that does not exist is not matched. If it was retrieved
+          // earlier, it has been deleted since.
+          if (err && err.status == 404) {
+            return concurrency != undefined ? cb(errors.conflict(primaryKey, err)) : cb(null, []);
+          }
+          if (err) return cb(err);
+
+          client.delete(_.assign({
+            index: indexName,
+            type:  typeName,
+            id:    primaryKey
+          }, concurrency, writeParams), function(err) {
+            if (err && (err.status == 409 || err.status == 404) && concurrency != undefined) {
+              return cb(errors.conflict(primaryKey, err));
+            }
+            if (err && err.status == 404) {
+              return cb(null, []);
+            }
+            if (err) return cb(err);
+            return cb(null, [hitToModel(res)]);
+          });
+        });
+      }
+
+      if (isPrimaryKeyList(where, primaryKeyField) && !indices.isPattern(indexName)) {
+        return client.mget({
+          index: indexName,
+          type:  typeName,
+          body:  {
+            ids: where[primaryKeyField]
+          }
+        }, function(err, res) {
+          if (err) return cb(err);
+          return deleteHits(_.filter(res.docs, 'found'));
+        });
+      }
+
+      var body = {};
+
+      try {
+        body.query = criteria.buildQuery(options.where, primaryKeyField, getCriteriaOptions(connections, connectionName, collectionName));
+      } catch (err) {
+        return cb(err);
+      }
+
+      scroll.all(client, getSearchParams(connections, connectionName, getReadParams(connections, connectionName, collectionName, index, {
         index: indexName,
         type:  typeName,
-        id:    options.where.primaryKey
-      }, function(err, res) {
+        body:  body
+      })), function(err, hits) {
         if (err) return cb(err);
-        return cb();
+        return deleteHits(hits);
       });
     },
 
+    /**
+     * Ping the cluster of the collection's connection. Passes 'true' to the
+     * callback if the cluster is reachable, or an error otherwise.
+     */
+    ping: function (connectionName, collectionName, cb) {
+      connections[connectionName].connection.ping(cb);
+    },
+
+    /**
+     * Get the version and the health of the cluster of the collection's
+     * connection, given as { version, status, health }, where 'status' is the
+     * cluster's health status (green, yellow or red) and 'health' is the full
+     * response of the cluster health API.
+     */
+    health: function (connectionName, collectionName, cb) {
+      connections[connectionName].connection.health(cb);
+    },
+
     /**
      * Get an individual record by it's id.
      */
     get: function (connectionName, collectionName, primaryKey, cb, index) {
-      var client    = getClient(connections, connectionName);
-      var indexName = getIndex(connections, connectionName, collectionName, index);
-      var typeName  = getType(connections, connectionName, collectionName);
+      var client          = getClient(connections, connectionName);
+      var typeName        = getType(connections, connectionName, collectionName);
+      var primaryKeyField = getPrimaryKeyField(connections, connectionName, collectionName);
+      var hitToModel      = getHitToModel(connections, connectionName, collectionName);
+
+      var where = {};
+      where[primaryKeyField] = primaryKey;
+      var indexName = getIndex(connections, connectionName, collectionName, index, { criteria: { where: where } });
+
+      if (indices.isPattern(indexName)) {
+        return searchByIds(client, getSearchParams(connections, connectionName, getReadParams(connections, connectionName, collectionName, index, {
+          index: indexName,
+          type:  typeName
+        })), [primaryKey], function(err, hits) {
+          if (err) return cb(err);
+
+          if (!hits.length) {
+            return cb(errors.notFound(primaryKey));
+          }
+
+          return cb(null, hitToModel(hits[0]));
+        });
+      }
 
       client.get({
         index: indexName,
         type:  typeName,
         id:    primaryKey
       }, function(err, res) {
+        if (err && err.status == 404) {
+          return cb(errors.notFound(primaryKey, err));
+        }
         if (err) return cb(err);
         return cb(null, hitToModel(res));
       });
@@ -728,9 +2169,30 @@ module.exports = (function () {
      * Get multiple records by their ids.
      */
     mget: function (connectionName, collectionName, primaryKeys, cb, index) {
-      var client    = getClient(connections, connectionName);
-      var indexName = getIndex(connections, connectionName, collectionName, index);
-      var typeName  = getType(connections, connectionName, collectionName);
+      var client          = getClient(connections, connectionName);
+      var typeName        = getType(connections, connectionName, collectionName);
+      var primaryKeyField = getPrimaryKeyField(connections, connectionName, collectionName);
+      var hitToModel      = getHitToModel(connections, connectionName, collectionName);
+
+      var where = {};
+      where[primaryKeyField] = primaryKeys;
+      var indexName = getIndex(connections, connectionName, collectionName, index, { criteria: { where: where } });
+
+      if (indices.isPattern(indexName)) {
+        return searchByIds(client, getSearchParams(connections, connectionName, getReadParams(connections, connectionName, collectionName, index, {
+          index: indexName,
+          type:  typeName
+        })), primaryKeys, function(err, hits) {
+          if (err) return cb(err);
+
+          // Return the records in the order requested, with 'false' for the
+          // ones that were not found, as when using 'mget'.
+          var hitsById = _.keyBy(hits, '_id');
+          return cb(null, primaryKeys.map(function(primaryKey) {
+            return hitsById[primaryKey] ? hitToModel(hitsById[primaryKey]) : false;
+          }));
+        });
+      }
 
       client.mget({
         index: indexName,
@@ -741,7 +2203,7 @@ module.exports = (function () {
       }, function(err, res) {
         if (err) return cb(err);
 
-        getFound(res, function(err, results) {
+        getFound(res, hitToModel, function(err, results) {
           if (err) return cb(err);
           return cb(null, results);
         });
@@ -749,14 +2211,36 @@ module.exports = (function () {
     },
 
     delete: function (connectionName, collectionName, primaryKey, cb, index) {
-      var client    = getClient(connections, connectionName);
-      var indexName = getIndex(connections, connectionName, collectionName, index);
-      var typeName  = getType(connections, connectionName, collectionName);
+      var client          = getClient(connections, connectionName);
+      var typeName        = getType(connections, connectionName, collectionName);
+      var primaryKeyField = getPrimaryKeyField(connections, connectionName, collectionName);
 
       if (primaryKey == undefined) {
         return cb(new Error('You must specify the primary key of the record you wish to delete.'));
       }
 
+      var where = {};
+      where[primaryKeyField] = primaryKey;
+      var indexName = getIndex(connections, connectionName, collectionName, index, { criteria: { where: where } });
+
+      // The record may be in any of multiple indices.
+      if (indices.isPattern(indexName)) {
+        return client.deleteByQuery({
+          index: indexName,
+          type:  typeName,
+          body:  {
+            query: {
+              ids: {
+                values: [primaryKey]
+              }
+            }
+          }
+        }, function(err, res) {
+          if (err) return cb(err);
+          return cb();
+        });
+      }
+
       client.delete({
         index: indexName,
         type:  typeName,
@@ -0,0 +1,162 @@
+/**
+ * Module Dependencies
+ */
+
+var _ = require('lodash');
+
+/**
+ * Aggregations.js
+ *
+ * Builds aggregations for the Waterline 'groupBy', 'sum', 'average', 'min' and
+ * 'max' criteria, and normalises aggregation results returned by Elastic
+ * Search.
+ */
+
+// The Elastic Search metric aggregation that corresponds to each Waterline
+// aggregate criteria.
+var metrics = {
+  sum     : 'sum',
+  average : 'avg',
+  min     : 'min',
+  max     : 'max'
+};
+
+// The number of groups retrieved per request. Groups are paged through until
+// all of them have been retrieved.
+var groupPageSize = 1000;
+
+// Properties of aggregation results that are renamed when normalising them.
+var normalisedProperties = {
+  doc_count                   : 'docCount',
+  key_as_string               : 'keyAsString',
+  value_as_string             : 'valueAsString',
+  sum_other_doc_count         : 'sumOtherDocCount',
+  doc_count_error_upper_bound : 'docCountErrorUpperBound'
+};
+
+// Whether the given criteria request aggregate results instead of records.
+var isAggregate = function(options) {
+  return options.groupBy != undefined || _.some(Object.keys(metrics), function(criteria) {
+    return options[criteria] != undefined;
+  });
+};
+
+// Build the aggregations for the Waterline aggregate criteria. The groups of
+// the 'groupBy' fields are built with a 'composite' aggregation, with the
+// metric aggregations within each group. The groups are retrieved a page at a
+// time; the key of the last group of the previous page is given to get the
+// next one.
+var buildAggregations = function(options, afterKey) {
+  var metricAggs = {};
+  _.forEach(metrics, function(esMetric, criteria) {
+    _.castArray(options[criteria] || []).forEach(function(field) {
+      metricAggs[criteria + '_' + field] = {};
+      metricAggs[criteria + '_' + field][esMetric] = { field: field };
+    });
+  });
+
+  var groupBy = getGroupBy(options);
+  if (!groupBy.length) {
+    return metricAggs;
+  }
+
+  var composite = {
+    size    : groupPageSize,
+    sources : groupBy.map(function(field) {
+      var source = {};
+      source[field] = {
+        terms: { field: field }
+      };
+      return source;
+    })
+  };
+  if (afterKey != undefined) {
+    composite.after = afterKey;
+  }
+
+  return {
+    groupBy: {
+      composite : composite,
+      aggs      : metricAggs
+    }
+  };
+};
+
+var getGroupBy = function(options) {
+  return _.castArray(options.groupBy || []);
+};
+
+// Get the key to retrieve the next page of groups after the given response,
+// if there are more groups.
+var nextPage = function(esAggregations, options) {
+  if (!getGroupBy(options).length || esAggregations == undefined) {
+    return;
+  }
+
+  var groups = esAggregations.groupBy;
+  if (groups.buckets.length < groupPageSize) {
+    return;
+  }
+
+  return groups.after_key;
+};
+
+// Convert the response to aggregations built by 'buildAggregations' into
+// records, in the format Waterline expects for aggregate criteria; one record
+// per group, containing the value of each 'groupBy' field and the value of each
+// aggregated field. There are no records if the search was made on no indices.
+var toRecords = function(esAggregations, options) {
+  if (esAggregations == undefined) {
+    return [];
+  }
+
+  var toRecord = function(aggs, record) {
+    _.forEach(metrics, function(esMetric, criteria) {
+      _.castArray(options[criteria] || []).forEach(function(field) {
+        record[field] = aggs[criteria + '_' + field].value;
+      });
+    });
+    return record;
+  };
+
+  if (!getGroupBy(options).length) {
+    return [toRecord(esAggregations, {})];
+  }
+
+  return esAggregations.groupBy.buckets.map(function(bucket) {
+    return toRecord(bucket, _.clone(bucket.key));
+  });
+};
+
+// Normalise aggregation results returned by Elastic Search. Buckets are always
+// returned as arrays, keyed buckets having their key set on each bucket, and
+// document counts and other properties are renamed to camel case.
+var normalise = function(esAggregations) {
+  var result = {};
+
+  _.forEach(esAggregations, function(value, property) {
+    if (property == 'buckets') {
+      result.buckets = _.map(value, function(bucket, key) {
+        bucket = normalise(bucket);
+        if (!Array.isArray(value)) {
+          bucket.key = key;
+        }
+        return bucket;
+      });
+      return;
+    }
+
+    var name = normalisedProperties[property] || property;
+    result[name] = _.isPlainObject(value) ? normalise(value) : value;
+  });
+
+  return result;
+};
+
+module.exports = {
+  isAggregate       : isAggregate,
+  buildAggregations : buildAggregations,
+  nextPage          : nextPage,
+  toRecords         : toRecords,
+  normalise         : normalise
+};
@@ -0,0 +1,91 @@
+/**
+ * Module Dependencies
+ */
+
+var _ = require('lodash');
+
+/**
+ * Aliases.js
+ *
+ * Helpers for managing versioned physical indices behind a stable alias.
+ *
+ * Indices created by the adapter are named after the alias with a version
+ * suffix, e.g. 'articles_v1', and the alias, e.g. 'articles', points to the
+ * current version. Reindexing creates the next version, e.g. 'articles_v2',
+ * and swaps the alias over to it once the data has been copied.
+ */
+
+var versionSeparator = '_v';
+
+// Get the name of the physical index for the given alias and version.
+var versionedName = function(alias, version) {
+  return alias + versionSeparator + version;
+};
+
+// Get the version of the given physical index, or 0 if it is not a versioned
+// index of the alias.
+var getVersion = function(alias, indexName) {
+  var prefix = alias + versionSeparator;
+  if (indexName.indexOf(prefix) != 0) {
+    return 0;
+  }
+
+  var version = parseInt(indexName.slice(prefix.length), 10);
+  return isNaN(version) ? 0 : version;
+};
+
+// Get the physical indices the given alias points to. The callback receives
+// 'false' if there is no such alias.
+var getIndices = function(client, alias, cb) {
+  client.indices.getAlias({
+    name:   alias,
+    ignore: [404]
+  }, function(err, res) {
+    if (err) return cb(err);
+
+    // With 404 responses ignored, a missing alias gives an error response
+    // instead of a list of indices.
+    var indexNames = _.filter(Object.keys(res || {}), function(key) {
+      return _.isPlainObject(res[key]) && res[key].aliases != undefined;
+    });
+
+    if (!indexNames.length) {
+      return cb(null, false);
+    }
+
+    return cb(null, indexNames);
+  });
+};
+
+// Get all versioned physical indices of the given alias, including the ones it
+// does not point to, e.g. the new index of a reindex that failed and could not
+// be rolled back.
+var getVersionedIndices = function(client, alias, cb) {
+  client.indices.getAlias({
+    index:  versionedName(alias, '*'),
+    ignore: [404]
+  }, function(err, res) {
+    if (err) return cb(err);
+
+    return cb(null, _.filter(Object.keys(res || {}), function(key) {
+      return _.isPlainObject(res[key]) && res[key].aliases != undefined;
+    }));
+  });
+};
+
+// Get the name of the next version of the physical index for the given alias,
+// based on the versions of the given indices.
+var nextIndex = function(alias, indexNames) {
+  var version = _.max(_.map(indexNames, function(indexName) {
+    return getVersion(alias, indexName);
+  })) || 0;
+
+  return versionedName(alias, version + 1);
+};
+
+module.exports = {
+  versionedName       : versionedName,
+  getIndices          : getIndices,
+  getVersionedIndices : getVersionedIndices,
+  nextIndex           : nextIndex
+};
@@ -0,0 +1,119 @@
+/**
+ * Module Dependencies
+ */
+
+var _      = require('lodash');
+var async  = require('async');
+var errors = require('./errors');
+
+/**
+ * Bulk.js
+ *
+ * Executes multiple write operations through the '_bulk' API.
+ *
+ * Operations are given in the form { action, index, id, body }, where 'action'
+ * is one of 'index', 'create', 'update' or 'delete'. The index is optional if
+ * it is given in the request's parameters. Operations are sent in chunks of the
+ * configured size, with up to the configured number of chunks being sent
+ * concurrently.
+ *
+ * Operations may also be given the 'ifSeqNo' and 'ifPrimaryTerm' properties,
+ * making them conditional on the document not having been changed, and the
+ * 'retryOnConflict' property for updates.
+ *
+ * A failed operation does not abort the rest; failures are reported per
+ * operation once all chunks have been sent.
+ */
+
+// The default number of operations sent in each '_bulk' request.
+var defaultSize = 500;
+
+// Optional operation properties, and the metadata they are sent as.
+var metadataParameters = {
+  ifSeqNo         : 'if_seq_no',
+  ifPrimaryTerm   : 'if_primary_term',
+  retryOnConflict : 'retry_on_conflict'
+};
+
+// Execute the given operations. The callback receives the result of each
+// operation, in the same order as the operations were given. If any of the
+// operations failed, an error is passed to the callback as well, listing the
+// failures in its 'failures' property. Operations failing with one of the
+// statuses listed in the 'ignore' option are not reported as failures.
+var execute = function(client, params, operations, options, cb) {
+  var size        = options.size || defaultSize;
+  var concurrency = options.concurrency || 1;
+  var chunks      = _.chunk(operations, size);
+  var items       = new Array(operations.length);
+
+  async.eachOfLimit(chunks, concurrency, function(chunk, chunkIndex, c) {
+    var body = [];
+    chunk.forEach(function(operation) {
+      var metadata = {};
+      metadata[operation.action] = {};
+      if (operation.index != undefined) {
+        metadata[operation.action]._index = operation.index;
+      }
+      if (operation.id != undefined) {
+        metadata[operation.action]._id = operation.id;
+      }
+      _.forEach(metadataParameters, function(parameter, property) {
+        if (operation[property] != undefined) {
+          metadata[operation.action][parameter] = operation[property];
+        }
+      });
+
+      body.push(metadata);
+      if (operation.action != 'delete') {
+        body.push(operation.body);
+      }
+    });
+
+    client.bulk(_.assign({}, params, { body: body }), function(err, res) {
+      chunk.forEach(function(operation, i) {
+        // If the whole request failed, all of the chunk's operations failed.
+        if (err) {
+          items[chunkIndex * size + i] = {
+            _id    : operation.id,
+            status : err.status,
+            error  : err
+          };
+          return;
+        }
+
+        items[chunkIndex * size + i] = res.items[i][operation.action];
+      });
+
+      c();
+    });
+  }, function(err) {
+    if (err) return cb(err);
+    return cb(getError(operations, items, options.ignore || []), items);
+  });
+};
+
+// Build an error reporting the failed operations, if any.
+var getError = function(operations, items, ignore) {
+  var failures = [];
+
+  items.forEach(function(item, i) {
+    if (item.error != undefined && !_.includes(ignore, item.status)) {
+      failures.push({
+        index     : i,
+        operation : operations[i],
+        status    : item.status,
+        error     : item.error
+      });
+    }
+  });
+
+  if (!failures.length) {
+    return null;
+  }
+
+  return errors.bulk(failures, operations.length);
+};
+
+module.exports = {
+  execute: execute
+};
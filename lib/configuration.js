@@ -0,0 +1,354 @@
+/**
+ * Module Dependencies
+ */
+
+var _   = require('lodash');
+var fs  = require('fs');
+var url = require('url');
+
+/**
+ * Configuration.js
+ *
+ * Validates the configuration of a connection, and builds the options of the
+ * elasticsearch client from it.
+ *
+ *   elasticsearch: {
+ *     adapter        : 'sails-elasticsearch',
+ *     hosts          : ['https://es1:9200', 'https://es2:9200'],
+ *     sniffOnStart   : true,
+ *     sniffInterval  : 60000,
+ *     auth           : { username: 'sails', password: { env: 'ES_PASSWORD' } },
+ *     ssl            : { ca: '/etc/ssl/es-ca.pem' },
+ *     requestTimeout : 30000,
+ *     maxRetries     : 3
+ *   }
+ *
+ * The supported options are:
+ *   - host / hosts: the URL of a node, or a list of them. Defaults to
+ *     'localhost:9200'.
+ *   - sniffOnStart, sniffOnConnectionFault: discover the rest of the cluster's
+ *     nodes when connecting, or when a node fails.
+ *   - sniffInterval: discover the cluster's nodes every given milliseconds.
+ *   - auth: { username, password } for basic authentication, or { apiKey }
+ *     for API key authentication. The API key is given either encoded, or as
+ *     { id, key }. The client's 'httpAuth' option, 'username:password', is
+ *     supported as well.
+ *   - ssl: { ca, cert, key, passphrase, rejectUnauthorized }. Certificates and
+ *     keys are given either in PEM format, or as the path of a PEM file.
+ *   - requestTimeout: the timeout of each request, in milliseconds.
+ *   - maxRetries: the number of times to retry a request on another node.
+ *   - debug, slowQueryThreshold, onRequest, onResponse: the tracing of
+ *     requests (see './tracing').
+ *
+ * Any other option of the elasticsearch client, e.g. 'apiVersion' or
+ * 'keepAlive', is passed on as it is.
+ *
+ * Any string option can be read from an environment variable by giving it as
+ * { env: 'NAME' }, so that secrets are not kept in the application's
+ * configuration files.
+ *
+ * All problems with the configuration are reported together when the
+ * connection is registered, in an error with the 'E_CONFIG' code.
+ */
+
+// The levels of the Sails logger that requests can be logged at.
+var logLevels = ['error', 'warn', 'info', 'debug', 'verbose', 'silly'];
+
+// Options of the connection that are used by the adapter, or that are turned
+// into options of the elasticsearch client. All other options are passed on to
+// the client as they are.
+var adapterOptions = [
+  'adapter', 'identity', 'index', 'metadataKey', 'retryOnConflict', 'refresh',
+  'waitForActiveShards', 'timeout', 'bulkSize', 'bulkConcurrency', 'pingTimeout',
+  'pingRetries', 'pingRetryDelay', 'debug', 'slowQueryThreshold', 'onRequest',
+  'onResponse', 'host', 'hosts', 'auth', 'httpAuth', 'ssl'
+];
+
+// Build the options of the elasticsearch client for the given connection
+// configuration. Throws an error listing all problems, if it is invalid.
+var build = function(config) {
+  var problems = [];
+  var options  = _.omit(config, adapterOptions);
+
+  var auth    = getAuth(config, problems);
+  var ssl     = getSsl(config, problems);
+  var headers = {};
+
+  if (auth != undefined && auth.apiKey != undefined) {
+    headers.Authorization = 'ApiKey ' + auth.apiKey;
+  }
+
+  options.hosts = getHosts(config, problems).map(function(host) {
+    if (auth != undefined && auth.username != undefined) {
+      host.auth = auth.username + ':' + auth.password;
+    }
+    if (!_.isEmpty(headers)) {
+      host.headers = _.assign({}, host.headers, headers);
+    }
+    return host;
+  });
+
+  if (ssl != undefined) {
+    options.ssl = ssl;
+  }
+
+  _.forEach(['sniffOnStart', 'sniffOnConnectionFault'], function(option) {
+    if (config[option] != undefined) {
+      options[option] = checkBoolean(config, option, problems);
+    }
+  });
+
+  if (config.sniffInterval != undefined && config.sniffInterval !== false) {
+    options.sniffInterval = checkInteger(config, 'sniffInterval', problems, 1);
+  }
+
+  if (config.requestTimeout != undefined) {
+    options.requestTimeout = checkInteger(config, 'requestTimeout', problems, 1);
+  }
+
+  if (config.maxRetries != undefined) {
+    options.maxRetries = checkInteger(config, 'maxRetries', problems, 0);
+  }
+
+  checkTracing(config, problems);
+
+  if (problems.length) {
+    var error = new Error('Invalid configuration of connection "' + config.identity + '": ' + problems.join(' '));
+    error.code     = 'E_CONFIG';
+    error.problems = problems;
+    throw error;
+  }
+
+  return options;
+};
+
+// Get the configured hosts as the objects the elasticsearch client expects.
+var getHosts = function(config, problems) {
+  var hosts = config.hosts != undefined ? config.hosts : config.host || 'localhost:9200';
+  hosts = [].concat(hosts);
+
+  if (!hosts.length) {
+    problems.push('"hosts" must list at least one host.');
+  }
+
+  return _.compact(hosts.map(function(host, i) {
+    // Hosts given as objects are already in the client's form.
+    if (_.isPlainObject(host) && host.env == undefined) {
+      return _.clone(host);
+    }
+
+    host = resolve(host, 'hosts.' + i, problems);
+    if (host == undefined) {
+      return;
+    }
+    if (!_.isString(host)) {
+      problems.push('"hosts.' + i + '" must be a URL.');
+      return;
+    }
+
+    var parsed = url.parse(/^[a-z]+:\/\//i.test(host) ? host : 'http://' + host);
+    if (!parsed.hostname) {
+      problems.push('"hosts.' + i + '" must be a URL; got "' + host + '".');
+      return;
+    }
+
+    return _.omitBy({
+      protocol : parsed.protocol.replace(/:$/, ''),
+      host     : parsed.hostname,
+      port     : parsed.port ? Number(parsed.port) : 9200,
+      path     : parsed.pathname != '/' ? parsed.pathname : undefined,
+      auth     : parsed.auth || undefined
+    }, _.isUndefined);
+  }));
+};
+
+// Get the credentials from the 'auth' option, as { username, password } or as
+// { apiKey } with the encoded key.
+var getAuth = function(config, problems) {
+  if (config.httpAuth != undefined) {
+    return getHttpAuth(config, problems);
+  }
+
+  if (config.auth == undefined) {
+    return;
+  }
+
+  if (!_.isPlainObject(config.auth)) {
+    problems.push('"auth" must be either { username, password } or { apiKey }.');
+    return;
+  }
+
+  if (config.auth.apiKey != undefined) {
+    var apiKey = config.auth.apiKey;
+
+    if (_.isPlainObject(apiKey) && apiKey.env == undefined) {
+      var id  = resolve(apiKey.id, 'auth.apiKey.id', problems);
+      var key = resolve(apiKey.key, 'auth.apiKey.key', problems);
+      if (!_.isString(id) || !_.isString(key)) {
+        problems.push('"auth.apiKey" must be given either encoded, or as { id, key }.');
+        return;
+      }
+      apiKey = Buffer.from(id + ':' + key).toString('base64');
+    } else {
+      apiKey = resolve(apiKey, 'auth.apiKey', problems);
+      if (!_.isString(apiKey)) {
+        problems.push('"auth.apiKey" must be given either encoded, or as { id, key }.');
+        return;
+      }
+    }
+
+    return { apiKey: apiKey };
+  }
+
+  var count    = problems.length;
+  var username = resolve(config.auth.username, 'auth.username', problems);
+  var password = resolve(config.auth.password, 'auth.password', problems);
+
+  // Credentials missing from the environment have been reported already.
+  if (problems.length > count) {
+    return;
+  }
+
+  if (!_.isString(username) || !_.isString(password)) {
+    problems.push('"auth" must be either { username, password } or { apiKey }.');
+    return;
+  }
+
+  return {
+    username : username,
+    password : password
+  };
+};
+
+// Get the credentials from the client's 'httpAuth' option, given as
+// 'username:password'.
+var getHttpAuth = function(config, problems) {
+  if (config.auth != undefined) {
+    problems.push('"auth" and "httpAuth" cannot be given together.');
+    return;
+  }
+
+  var count    = problems.length;
+  var httpAuth = resolve(config.httpAuth, 'httpAuth', problems);
+
+  if (problems.length > count) {
+    return;
+  }
+
+  if (!_.isString(httpAuth) || httpAuth.indexOf(':') == -1) {
+    problems.push('"httpAuth" must be given as "username:password".');
+    return;
+  }
+
+  return {
+    username : httpAuth.slice(0, httpAuth.indexOf(':')),
+    password : httpAuth.slice(httpAuth.indexOf(':') + 1)
+  };
+};
+
+// Get the TLS options from the 'ssl' option, with the certificates and keys
+// read from their files if they are given as paths.
+var getSsl = function(config, problems) {
+  if (config.ssl == undefined) {
+    return;
+  }
+
+  if (!_.isPlainObject(config.ssl)) {
+    problems.push('"ssl" must be an object.');
+    return;
+  }
+
+  var ssl = _.clone(config.ssl);
+
+  _.forEach(['ca', 'cert', 'key'], function(option) {
+    if (ssl[option] != undefined) {
+      ssl[option] = readPem(resolve(ssl[option], 'ssl.' + option, problems), 'ssl.' + option, problems);
+    }
+  });
+
+  if (ssl.passphrase != undefined) {
+    ssl.passphrase = resolve(ssl.passphrase, 'ssl.passphrase', problems);
+  }
+
+  if ((config.ssl.cert == undefined) != (config.ssl.key == undefined)) {
+    problems.push('"ssl.cert" and "ssl.key" must be given together.');
+  }
+
+  if (ssl.rejectUnauthorized != undefined) {
+    ssl.rejectUnauthorized = checkBoolean(ssl, 'rejectUnauthorized', problems, 'ssl.');
+  }
+
+  return ssl;
+};
+
+// Read the given certificate or key from its file, unless it is given in PEM
+// format. Multiple CA certificates can be given as a list.
+var readPem = function(value, option, problems) {
+  if (Array.isArray(value)) {
+    return value.map(function(item, i) {
+      return readPem(item, option + '.' + i, problems);
+    });
+  }
+
+  if (Buffer.isBuffer(value) || !_.isString(value) || /-----BEGIN /.test(value)) {
+    return value;
+  }
+
+  try {
+    return fs.readFileSync(value, 'utf8');
+  } catch (err) {
+    problems.push('"' + option + '" could not be read from "' + value + '": ' + err.message);
+  }
+};
+
+// Resolve a value given as { env: 'NAME' } from the environment.
+var resolve = function(value, option, problems) {
+  if (!_.isPlainObject(value) || value.env == undefined) {
+    return value;
+  }
+
+  if (process.env[value.env] == undefined) {
+    problems.push('"' + option + '" is read from the environment variable "' + value.env + '", which is not set.');
+    return;
+  }
+
+  return process.env[value.env];
+};
+
+// Check the options of the tracing of requests. They are not options of the
+// client.
+var checkTracing = function(config, problems) {
+  if (config.debug != undefined && !_.isBoolean(config.debug) && !_.includes(logLevels, config.debug)) {
+    problems.push('"debug" must be true, false or one of the log levels ' + logLevels.join(', ') + '.');
+  }
+
+  if (config.slowQueryThreshold != undefined) {
+    checkInteger(config, 'slowQueryThreshold', problems, 0);
+  }
+
+  _.forEach(['onRequest', 'onResponse'], function(option) {
+    if (config[option] != undefined && typeof config[option] != 'function') {
+      problems.push('"' + option + '" must be a function.');
+    }
+  });
+};
+
+var checkBoolean = function(object, option, problems, prefix) {
+  if (!_.isBoolean(object[option])) {
+    problems.push('"' + (prefix || '') + option + '" must be true or false.');
+  }
+
+  return object[option];
+};
+
+var checkInteger = function(object, option, problems, minimum) {
+  if (!_.isInteger(object[option]) || object[option] < minimum) {
+    problems.push('"' + option + '" must be an integer of at least ' + minimum + '.');
+  }
+
+  return object[option];
+};
+
+module.exports = {
+  build: build
+};
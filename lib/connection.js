@@ -2,13 +2,22 @@
  * Module Dependencies
  */
 
+var _             = require('lodash');
 var elasticsearch = require('elasticsearch');
+var configuration = require('./configuration');
+var tracing       = require('./tracing');
+var errors        = require('./errors');
 
 /**
  * Connection.js
  *
  * Handles connecting and disconnecting from an elasticsearch server.
  *
+ * The configuration is validated before connecting (see './configuration'),
+ * and an error is returned if it is invalid. Requests made through the
+ * connection's client are traced as configured (see './tracing'), and their
+ * errors are translated into errors with stable codes (see './errors').
+ *
  * @param {Object} config
  * @param {Function} callback
  */
@@ -20,13 +29,20 @@ var Connection = module.exports = function(config, cb) {
   // Ensure something is set for config
   this.config = config || {};
 
-  // Hold the connection
-  this.connection = {};
+  // Hold the client
+  this.client = {};
+
+  // Build the options of the client
+  try {
+    this.clientOptions = configuration.build(this.config);
+  } catch (err) {
+    return cb(err);
+  }
 
   // Create a new Connection
   this.connect(function(err, client) {
     if(err) return cb(err);
-    self.connection = client;
+    self.client = self.wrap(client);
     cb(null, self);
   });
 
@@ -41,19 +57,256 @@ var Connection = module.exports = function(config, cb) {
 /**
  * Connect to the elasticsearch server
  *
+ * The cluster is pinged before the connection is considered established. If
+ * it cannot be reached, the ping is retried with an exponential backoff, and
+ * an 'E_UNAVAILABLE' error is returned if it still cannot be reached after all
+ * retries. The following can be set in the connection's configuration:
+ *
+ *   - pingTimeout: the timeout of each ping, in milliseconds (default 3000)
+ *   - pingRetries: the number of times to retry (default 3)
+ *   - pingRetryDelay: the delay before the first retry, in milliseconds; it
+ *     doubles on every subsequent retry (default 1000)
+ *
+ * Once connected, the cluster's version and health status are available as
+ * the 'version' and 'status' properties of the connection. If they cannot be
+ * retrieved, e.g. because the credentials do not allow it, a warning is logged
+ * and they are left undefined.
+ *
  * @param {Function} callback
  * @api public
  */
 
 Connection.prototype.connect = function(cb) {
-  /**
-   * @Issue(
-   *   "Check if the connection is initialised when the client is created, and
-   *   if so, react on 'ready' and 'error' events"
-   *   type="bug"
-   *   priority="low"
-   * )
-   */
-  var client = new elasticsearch.Client(this.config);
-  cb(null, client);
+  var self   = this;
+  var client = new elasticsearch.Client(_.cloneDeep(this.clientOptions));
+
+  var timeout    = this.config.pingTimeout != undefined ? this.config.pingTimeout : 3000;
+  var retries    = this.config.pingRetries != undefined ? this.config.pingRetries : 3;
+  var retryDelay = this.config.pingRetryDelay != undefined ? this.config.pingRetryDelay : 1000;
+  var attempt    = 0;
+
+  var ping = function() {
+    client.ping({
+      requestTimeout: timeout
+    }, function(err) {
+      if (err) {
+        if (attempt >= retries) {
+          client.close();
+          var error = new Error('Could not connect to the elasticsearch cluster at ' + self.getHosts() +
+            ' after ' + (attempt + 1) + ' attempt(s): ' + err.message);
+          error.code          = 'E_UNAVAILABLE';
+          error.originalError = err;
+          return cb(error);
+        }
+
+        setTimeout(ping, retryDelay * Math.pow(2, attempt));
+        attempt++;
+        return;
+      }
+
+      // The version and health are not essential, and may not be available
+      // to the connection's user.
+      self.health(client, function(err) {
+        if (err) {
+          sails.log.warn('Could not get the version and health of the elasticsearch cluster at ' +
+            self.getHosts() + ': ' + err.message);
+        }
+
+        cb(null, client);
+      });
+    });
+  };
+
+  ping();
+};
+
+/**
+ * Ping the elasticsearch cluster
+ *
+ * @param {Function} callback
+ * @api public
+ */
+
+Connection.prototype.ping = function(cb) {
+  this.client.ping({
+    requestTimeout: this.config.pingTimeout != undefined ? this.config.pingTimeout : 3000
+  }, function(err) {
+    if (err) return cb(err);
+    cb(null, true);
+  });
+};
+
+/**
+ * Get the version and the health of the elasticsearch cluster
+ *
+ * The connection's 'version' and 'status' properties are updated as well. The
+ * client defaults to the connection's client; it is given explicitly while
+ * connecting, before the connection's client is set.
+ *
+ * @param {Object} client
+ * @param {Function} callback
+ * @api public
+ */
+
+Connection.prototype.health = function(client, cb) {
+  var self = this;
+
+  if (typeof client == 'function') {
+    cb     = client;
+    client = this.client;
+  }
+
+  client.info({}, function(err, info) {
+    if (err) return cb(err);
+
+    client.cluster.health({}, function(err, health) {
+      if (err) return cb(err);
+
+      self.version = info.version.number;
+      self.status  = health.status;
+
+      cb(null, {
+        version : self.version,
+        status  : self.status,
+        health  : health
+      });
+    });
+  });
+};
+
+/**
+ * Close the connection's client, stopping any sniffing
+ *
+ * @api public
+ */
+
+Connection.prototype.close = function() {
+  if (typeof this.client.close == 'function') {
+    this.client.close();
+  }
+};
+
+/**
+ * Whether the version of the elasticsearch cluster is at least the given one
+ *
+ * @param {String} version
+ * @return {Boolean}
+ * @api public
+ */
+
+Connection.prototype.versionAtLeast = function(version) {
+  if (this.version == undefined) return false;
+
+  var actual   = this.version.split('.').map(Number);
+  var required = version.split('.').map(Number);
+
+  for (var i = 0; i < required.length; i++) {
+    if ((actual[i] || 0) != required[i]) {
+      return (actual[i] || 0) > required[i];
+    }
+  }
+
+  return true;
+};
+
+
+///////////////////////////////////////////////////////////////////////////////////////////
+/// PRIVATE METHODS
+///////////////////////////////////////////////////////////////////////////////////////////
+
+
+/**
+ * Get the configured hosts, for error messages. Credentials are left out.
+ *
+ * @return {String}
+ * @api private
+ */
+
+Connection.prototype.getHosts = function() {
+  return this.clientOptions.hosts.map(function(host) {
+    return (host.protocol || 'http') + '://' + host.host + ':' + (host.port || 9200) + (host.path || '');
+  }).join(', ');
+};
+
+/**
+ * Wrap the API methods of the given client, including the methods of its
+ * namespaces such as 'indices', so that their requests are traced and their
+ * errors translated. The client itself is left unchanged.
+ *
+ * @param {Object} client
+ * @return {Object}
+ * @api private
+ */
+
+Connection.prototype.wrap = function(client) {
+  var self = this;
+
+  var wrapObject = function(target, prefix) {
+    var wrapped = Object.create(target);
+
+    for (var property in target) {
+      if (property == 'close' || property == 'constructor' || property == 'transport') {
+        continue;
+      }
+
+      if (typeof target[property] == 'function') {
+        wrapped[property] = self.wrapMethod(target, property, prefix + property);
+      } else if (!prefix && _.isObject(target[property])) {
+        wrapped[property] = wrapObject(target[property], property + '.');
+      }
+    }
+
+    return wrapped;
+  };
+
+  return wrapObject(client, '');
+};
+
+/**
+ * Wrap a single API method of the client. Requests are made either with a
+ * callback, or with the promise the method returns.
+ *
+ * @param {Object} target
+ * @param {String} property
+ * @param {String} method
+ * @return {Function}
+ * @api private
+ */
+
+Connection.prototype.wrapMethod = function(target, property, method) {
+  var config = this.config;
+
+  return function(params, cb) {
+    var args = _.toArray(arguments);
+
+    if (typeof params == 'function') {
+      cb     = params;
+      params = {};
+    }
+
+    var done = tracing.start(config, method, params || {});
+
+    if (typeof cb == 'function') {
+      args[args.length - 1] = function(err, response, status) {
+        err = errors.translate(err);
+        done(err, response, status);
+        cb.call(this, err, response, status);
+      };
+      return target[property].apply(target, args);
+    }
+
+    var result = target[property].apply(target, args);
+    if (!result || typeof result.then != 'function') {
+      return result;
+    }
+
+    return result.then(function(response) {
+      done(null, response);
+      return response;
+    }, function(err) {
+      err = errors.translate(err);
+      done(err);
+      throw err;
+    });
+  };
 };
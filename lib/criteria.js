@@ -0,0 +1,373 @@
+/**
+ * Module Dependencies
+ */
+
+var _      = require('lodash');
+var errors = require('./errors');
+var geo    = require('./geo');
+
+/**
+ * Criteria.js
+ *
+ * Translates Waterline 'where' criteria into Elastic Search query clauses.
+ *
+ * The criteria are translated into filters, meaning that they do not affect
+ * scoring. For exact matches to work as expected, the fields used in the
+ * criteria need to be mapped as 'not_analyzed' (or 'keyword') fields.
+ *
+ * Criteria on dotted fields within 'nested' fields are grouped by their nested
+ * path, so that all conditions on the same path are matched by the same nested
+ * object. For example, { 'items.sku': 'A', 'items.qty': 2 } matches documents
+ * with an item that has both sku 'A' and qty 2. Dotted fields within 'object'
+ * fields are queried directly. The nested paths are given in the options:
+ *
+ *   - nestedPaths: the paths of the 'nested' fields, as derived from the
+ *     mapping.
+ *   - innerHits: request the nested objects that matched as 'inner_hits', named
+ *     after their path. Can be 'true', or the 'inner_hits' options.
+ *
+ * The 'like', 'contains', 'startsWith' and 'endsWith' modifiers match values
+ * regardless of case, as with other Waterline adapters, if the
+ * 'caseInsensitive' option is set. It requires Elastic Search 7.10 or later;
+ * older versions match them case-sensitively.
+ *
+ * The '_id' only supports exact matches, so range and string modifiers are
+ * rejected on the primary key.
+ */
+
+// Modifiers that are translated into a 'range' query, and the 'range' query
+// operator each of them corresponds to.
+var rangeModifiers = {
+  '<'                  : 'lt',
+  'lessThan'           : 'lt',
+  '<='                 : 'lte',
+  'lessThanOrEqual'    : 'lte',
+  '>'                  : 'gt',
+  'greaterThan'        : 'gt',
+  '>='                 : 'gte',
+  'greaterThanOrEqual' : 'gte'
+};
+
+// Modifiers that are translated into 'wildcard' or 'prefix' queries.
+var stringModifiers = ['like', 'contains', 'startsWith', 'endsWith'];
+
+// Build the query for the given 'where' criteria. If there are no criteria, a
+// 'match_all' query is returned.
+//
+// The primary key is stored as the document's '_id' and not as a field, so
+// criteria on the model's primary key field are applied on the '_id' instead.
+var buildQuery = function(where, primaryKeyField, options) {
+  options = options || {};
+
+  var root = buildGroups(where, primaryKeyField, options);
+
+  var query = groupQuery(root, options.innerHits);
+  if (query == undefined) {
+    return { match_all: {} };
+  }
+
+  return query;
+};
+
+// Build the clauses for the given criteria, grouped by the nested path of the
+// fields they apply to. Groups form a tree, with the group of the document's
+// own fields at its root:
+//   { path, filter: [clauses], mustNot: [clauses], groups: { path: group } }
+var buildGroups = function(where, primaryKeyField, options) {
+  var root = newGroup('');
+
+  var addClauses = function(field, clauses) {
+    var group = getGroup(root, nestedPaths(field, options.nestedPaths));
+    group.filter  = group.filter.concat(clauses.filter);
+    group.mustNot = group.mustNot.concat(clauses.mustNot);
+  };
+
+  _.forEach(where, function(value, field) {
+    // An 'or' array; at least one of the criteria it contains must match.
+    if (field == 'or') {
+      root.filter.push({
+        bool: {
+          should: _.map(value, function(criteria) {
+            return buildQuery(criteria, primaryKeyField, _.omit(options, 'innerHits'));
+          }),
+          minimum_should_match: 1
+        }
+      });
+      return;
+    }
+
+    // An 'and' array; all of the criteria it contains must match.
+    if (field == 'and') {
+      _.forEach(value, function(criteria) {
+        root.filter.push(buildQuery(criteria, primaryKeyField, _.omit(options, 'innerHits')));
+      });
+      return;
+    }
+
+    // A top-level 'like' modifier, in the form of { like: { field: pattern } }.
+    if (field == 'like') {
+      _.forEach(value, function(pattern, likeField) {
+        likeField = getField(likeField, primaryKeyField);
+        checkModifier(likeField, 'like');
+        addClauses(likeField, {
+          filter  : [likeQuery(likeField, pattern, options.caseInsensitive)],
+          mustNot : []
+        });
+      });
+      return;
+    }
+
+    field = getField(field, primaryKeyField);
+    addClauses(field, fieldClauses(field, value, options));
+  });
+
+  return root;
+};
+
+// Get the field that criteria on the given field apply to; the '_id' for the
+// primary key.
+var getField = function(field, primaryKeyField) {
+  return primaryKeyField != undefined && field == primaryKeyField ? '_id' : field;
+};
+
+// Throw an error if the given modifier cannot be used on the given field.
+var checkModifier = function(field, modifier) {
+  if (field == '_id' && (rangeModifiers[modifier] != undefined || _.includes(stringModifiers, modifier))) {
+    throw errors.validation('The "' + modifier + '" modifier cannot be used on the primary key.');
+  }
+};
+
+var newGroup = function(path) {
+  return {
+    path    : path,
+    filter  : [],
+    mustNot : [],
+    groups  : {}
+  };
+};
+
+// Get the group for the given nested paths, from the outermost to the
+// innermost, creating it if needed.
+var getGroup = function(root, paths) {
+  var group = root;
+
+  paths.forEach(function(path) {
+    group.groups[path] = group.groups[path] || newGroup(path);
+    group = group.groups[path];
+  });
+
+  return group;
+};
+
+// Get the nested paths that the given field is within, from the outermost to
+// the innermost.
+var nestedPaths = function(field, paths) {
+  var fieldParts = field.split('.');
+  var result     = [];
+
+  for (var i = 1; i < fieldParts.length; i++) {
+    var path = fieldParts.slice(0, i).join('.');
+    if (_.includes(paths, path)) {
+      result.push(path);
+    }
+  }
+
+  return result;
+};
+
+// Build the query for a group of clauses, including the nested queries of its
+// groups. Returns nothing if there are no clauses.
+var groupQuery = function(group, innerHits) {
+  var filter  = group.filter.slice();
+  var mustNot = group.mustNot.slice();
+
+  _.forEach(group.groups, function(nestedGroup) {
+    // If there are only negated criteria on a nested path, no nested object
+    // may match them, rather than some nested object not matching them.
+    if (!nestedGroup.filter.length && _.isEmpty(nestedGroup.groups)) {
+      nestedGroup.mustNot.forEach(function(clause) {
+        mustNot.push(nestedQuery(nestedGroup.path, { bool: { filter: [clause] } }));
+      });
+      return;
+    }
+
+    var query = nestedQuery(nestedGroup.path, groupQuery(nestedGroup));
+    if (innerHits) {
+      query.nested.inner_hits = _.assign({ name: nestedGroup.path }, _.isObject(innerHits) ? innerHits : {});
+    }
+    filter.push(query);
+  });
+
+  if (!filter.length && !mustNot.length) {
+    return;
+  }
+
+  var query = { bool: {} };
+  if (filter.length) {
+    query.bool.filter = filter;
+  }
+  if (mustNot.length) {
+    query.bool.must_not = mustNot;
+  }
+
+  return query;
+};
+
+// Build the clauses for the criteria given on a single field. Returns the
+// clauses that must match and the ones that must not match separately, so that
+// negated criteria can be placed in the 'must_not' section of the query.
+var fieldClauses = function(field, value, options) {
+  var clauses = {
+    filter  : [],
+    mustNot : []
+  };
+
+  // Plain values, arrays (IN queries) and null values.
+  if (!_.isPlainObject(value)) {
+    if (value === null) {
+      clauses.mustNot.push(existsQuery(field));
+    } else {
+      clauses.filter.push(smartTermOrTermsQuery(field, value));
+    }
+    return clauses;
+  }
+
+  var range = {};
+
+  _.forEach(value, function(modifierValue, modifier) {
+    checkModifier(field, modifier);
+
+    if (rangeModifiers[modifier] != undefined) {
+      range[rangeModifiers[modifier]] = modifierValue;
+      return;
+    }
+
+    switch (modifier) {
+      case '!':
+      case 'not':
+        if (modifierValue === null) {
+          clauses.filter.push(existsQuery(field));
+        } else {
+          clauses.mustNot.push(smartTermOrTermsQuery(field, modifierValue));
+        }
+        break;
+
+      case 'in':
+        clauses.filter.push(smartTermOrTermsQuery(field, modifierValue));
+        break;
+
+      case 'nin':
+        clauses.mustNot.push(smartTermOrTermsQuery(field, modifierValue));
+        break;
+
+      case 'like':
+        clauses.filter.push(likeQuery(field, modifierValue, options.caseInsensitive));
+        break;
+
+      case 'contains':
+        clauses.filter.push(wildcardQuery(field, '*' + escapeWildcard(modifierValue) + '*', options.caseInsensitive));
+        break;
+
+      case 'startsWith':
+        clauses.filter.push(stringQuery('prefix', field, modifierValue, options.caseInsensitive));
+        break;
+
+      case 'endsWith':
+        clauses.filter.push(wildcardQuery(field, '*' + escapeWildcard(modifierValue), options.caseInsensitive));
+        break;
+
+      // Geo point modifiers.
+      case 'near':
+        clauses.filter.push(geo.distanceQuery(field, modifierValue));
+        break;
+
+      case 'withinBox':
+        clauses.filter.push(geo.boxQuery(field, modifierValue));
+        break;
+
+      case 'withinPolygon':
+        clauses.filter.push(geo.polygonQuery(field, modifierValue));
+        break;
+
+      default:
+        throw errors.validation('Unsupported criteria modifier "' + modifier + '" on field "' + field + '".');
+    }
+  });
+
+  if (!_.isEmpty(range)) {
+    var rangeQuery = { range: {} };
+    rangeQuery.range[field] = range;
+    clauses.filter.push(rangeQuery);
+  }
+
+  return clauses;
+};
+
+var nestedQuery = function(path, query) {
+  return {
+    nested: {
+      path  : path,
+      query : query
+    }
+  };
+};
+
+// Make a Term or Terms query.
+// If we're looking for a single value, we make a term query.
+// If we're looking for multiple values, we make a terms query.
+var smartTermOrTermsQuery = function(field, value) {
+  var termFilter = {};
+
+  // If we want to make an IN query, which means that the comparison
+  // value must be an array, we create a 'terms' filter.
+  if (Array.isArray(value)) {
+    termFilter.terms = {};
+    termFilter.terms[field] = value;
+  } else {
+    // Otherwise, we create a 'term' filter.
+    termFilter.term = {};
+    termFilter.term[field] = value;
+  }
+
+  return termFilter;
+};
+
+var existsQuery = function(field) {
+  return {
+    exists: {
+      field: field
+    }
+  };
+};
+
+// Make a query of the given type, 'wildcard' or 'prefix', matching the given
+// value regardless of case if requested.
+var stringQuery = function(type, field, value, caseInsensitive) {
+  var query = {};
+  query[type] = {};
+  query[type][field] = caseInsensitive ? { value: value, case_insensitive: true } : value;
+  return query;
+};
+
+var wildcardQuery = function(field, pattern, caseInsensitive) {
+  return stringQuery('wildcard', field, pattern, caseInsensitive);
+};
+
+// Convert a SQL-style 'like' pattern, where '%' matches any sequence of
+// characters and '_' matches a single character, into a wildcard query.
+var likeQuery = function(field, pattern, caseInsensitive) {
+  var wildcardPattern = escapeWildcard(pattern)
+    .replace(/%/g, '*')
+    .replace(/_/g, '?');
+
+  return wildcardQuery(field, wildcardPattern, caseInsensitive);
+};
+
+// Escape characters that have a special meaning in wildcard patterns.
+var escapeWildcard = function(value) {
+  return String(value).replace(/([\\*?])/g, '\\$1');
+};
+
+module.exports = {
+  buildQuery: buildQuery
+};
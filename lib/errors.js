@@ -0,0 +1,173 @@
+/**
+ * Module Dependencies
+ */
+
+var _ = require('lodash');
+
+/**
+ * Errors.js
+ *
+ * Translates the errors of the elasticsearch client into errors with stable
+ * codes, so that applications can handle them without knowing about Elastic
+ * Search's responses:
+ *
+ *   - E_NOT_FOUND: the record, or its index, does not exist.
+ *   - E_UNIQUE: a record with the same primary key already exists.
+ *   - E_CONFLICT: the record has been changed concurrently.
+ *   - E_VALIDATION: a record or criteria are invalid, e.g. because a value
+ *     does not match the field's mapping.
+ *   - E_UNAVAILABLE: the cluster cannot be reached, or cannot currently serve
+ *     the request.
+ *   - E_TIMEOUT: the request timed out.
+ *   - E_UNKNOWN: any other error.
+ *
+ * Each error has the HTTP 'status' of the response, if any, and carries the
+ * client's error as 'originalError' and the body of the response as
+ * 'response', for debugging. Errors raised by the adapter itself, without
+ * a request, have the same codes.
+ */
+
+// The codes of the errors given for each HTTP status.
+var statusCodes = {
+  404 : 'E_NOT_FOUND',
+  409 : 'E_CONFLICT',
+  429 : 'E_UNAVAILABLE',
+  502 : 'E_UNAVAILABLE',
+  503 : 'E_UNAVAILABLE',
+  504 : 'E_TIMEOUT'
+};
+
+// The types of Elastic Search errors given for documents that do not match the
+// mapping. Other requests rejected with a 400 status, e.g. queries that cannot
+// be parsed, have the 'E_UNKNOWN' code.
+var validationTypes = [
+  'mapper_parsing_exception',
+  'document_parsing_exception',
+  'strict_dynamic_mapping_exception'
+];
+
+// The codes of the errors given for each type of error of the elasticsearch
+// client that has no response.
+var clientErrorCodes = {
+  RequestTimeout  : 'E_TIMEOUT',
+  NoConnections   : 'E_UNAVAILABLE',
+  ConnectionFault : 'E_UNAVAILABLE'
+};
+
+// Build an error with the given code. The original error, if any, is
+// preserved; if it has been translated already, the client's error is.
+var build = function(code, message, originalError) {
+  var error = new Error(message);
+  error.code = code;
+
+  if (originalError != undefined && originalError.originalError != undefined) {
+    originalError = originalError.originalError;
+  }
+
+  if (originalError != undefined) {
+    error.status        = originalError.status || originalError.statusCode;
+    error.originalError = originalError;
+    error.response      = originalError.body;
+  }
+
+  return error;
+};
+
+// Translate an error of the elasticsearch client. Errors that have been
+// translated already are given back as they are.
+var translate = function(err) {
+  if (err == undefined || /^E_/.test(err.code)) {
+    return err;
+  }
+
+  var status = err.status || err.statusCode;
+  var code   = getCode(status, _.get(err, 'body.error.type')) || clientErrorCodes[err.displayName] || 'E_UNKNOWN';
+
+  return build(code, getMessage(err), err);
+};
+
+// Build the error given for invalid records, criteria or options.
+var validation = function(message) {
+  return build('E_VALIDATION', message);
+};
+
+// Build the error given for any other failure detected by the adapter.
+var unknown = function(message) {
+  return build('E_UNKNOWN', message);
+};
+
+// Build the error given when some operations of a bulk request failed, listing
+// the failures. Each failure is given the code of its error; the error has the
+// code shared by all failures, or 'E_UNKNOWN' if they differ.
+var bulk = function(failures, count) {
+  failures.forEach(function(failure) {
+    failure.code = failure.error.code ||
+      getCode(failure.status, failure.error.type) ||
+      'E_UNKNOWN';
+  });
+
+  var codes = _.uniq(_.map(failures, 'code'));
+  var error = build(codes.length == 1 ? codes[0] : 'E_UNKNOWN', failures.length + ' of ' + count + ' bulk operations failed.');
+  error.failures = failures;
+
+  return error;
+};
+
+// Build the error given when a record does not exist.
+var notFound = function(primaryKey, originalError) {
+  var error = build('E_NOT_FOUND', 'Record "' + primaryKey + '" not found.', originalError);
+  error.status = 404;
+
+  return error;
+};
+
+// Build the error given when a record cannot be created because a record with
+// the same primary key already exists.
+var unique = function(primaryKey, originalError) {
+  var error = build('E_UNIQUE', 'A record with primary key "' + primaryKey + '" already exists.', originalError);
+  error.status = 409;
+
+  return error;
+};
+
+// Build the error given when a record cannot be changed because it has been
+// changed since it was retrieved.
+var conflict = function(primaryKey, originalError) {
+  var error = build('E_CONFLICT', 'Record "' + primaryKey + '" has been changed since it was retrieved.', originalError);
+  error.status = 409;
+
+  return error;
+};
+
+// Get the code of an error of the given HTTP status and Elastic Search error
+// type, if the status has one.
+var getCode = function(status, type) {
+  if (status == 400) {
+    return _.includes(validationTypes, type) ? 'E_VALIDATION' : 'E_UNKNOWN';
+  }
+
+  return statusCodes[status];
+};
+
+// Get the message of a client error, preferring the reason given in the
+// response.
+var getMessage = function(err) {
+  var reason = _.get(err, 'body.error.reason');
+  var type   = _.get(err, 'body.error.type');
+
+  if (_.isString(reason)) {
+    return type ? type + ': ' + reason : reason;
+  }
+
+  return err.message;
+};
+
+module.exports = {
+  translate  : translate,
+  validation : validation,
+  unknown    : unknown,
+  bulk       : bulk,
+  notFound   : notFound,
+  unique     : unique,
+  conflict   : conflict
+};
@@ -0,0 +1,198 @@
+/**
+ * Module Dependencies
+ */
+
+var _      = require('lodash');
+var errors = require('./errors');
+
+/**
+ * Geo.js
+ *
+ * Support for geo attributes; 'json' attributes with the 'geo' property set to
+ * 'point' or 'shape', which are mapped as 'geo_point' and 'geo_shape' fields.
+ * Waterline has no geo types of its own, and does not accept unknown types.
+ *
+ * Points can be given as { lat, lng } (or { lat, lon }), as GeoJSON points, as
+ * [lng, lat] arrays (the GeoJSON order) or as 'lat,lng' strings. They are
+ * stored in the form Elastic Search expects, { lat, lon }, and they are given
+ * back as { lat, lng }.
+ *
+ * Shapes are given as GeoJSON geometries; a point given in any of the above
+ * forms is stored as a GeoJSON point.
+ *
+ * The criteria modifiers for geo points are built here as well:
+ *
+ *   near          : { lat, lng, distance }, with the distance in meters or
+ *                   as a string with its unit, e.g. '10km'.
+ *   withinBox     : { topLeft, bottomRight }, given as points.
+ *   withinPolygon : [point, point, point, ...]
+ */
+
+// The kinds of geo attributes, and the Elastic Search field type of each.
+var fieldTypes = {
+  point : 'geo_point',
+  shape : 'geo_shape'
+};
+
+// Whether the given attribute is a geo attribute.
+var isGeo = function(attribute) {
+  return attribute != undefined && _.has(fieldTypes, attribute.geo);
+};
+
+// Get the Elastic Search field type of the given geo attribute.
+var fieldType = function(attribute) {
+  return fieldTypes[attribute.geo];
+};
+
+// Convert the given value of a geo attribute into the form it is stored in.
+var toSource = function(value, attribute) {
+  if (value == undefined) {
+    return value;
+  }
+
+  if (attribute.geo == 'shape') {
+    return toShape(value);
+  }
+
+  return toPoint(value);
+};
+
+// Convert the stored value of a geo attribute into the form it is given back
+// in.
+var fromSource = function(value, attribute) {
+  if (attribute.geo != 'point' || value == undefined) {
+    return value;
+  }
+
+  // Points stored in other forms, such as geohashes, are given back as they
+  // are.
+  try {
+    var point = toPoint(value);
+  } catch (err) {
+    return value;
+  }
+
+  return {
+    lat : point.lat,
+    lng : point.lon
+  };
+};
+
+// Convert the given point into the { lat, lon } form.
+var toPoint = function(value) {
+  var lat;
+  var lon;
+
+  if (_.isPlainObject(value) && _.isString(value.type) && value.type.toLowerCase() == 'point') {
+    lon = value.coordinates && value.coordinates[0];
+    lat = value.coordinates && value.coordinates[1];
+  } else if (_.isPlainObject(value)) {
+    lat = value.lat;
+    lon = value.lng != undefined ? value.lng : value.lon;
+  } else if (Array.isArray(value)) {
+    lon = value[0];
+    lat = value[1];
+  } else if (_.isString(value)) {
+    var parts = value.split(',');
+    lat = parts[0];
+    lon = parts[1];
+  }
+
+  lat = Number(lat);
+  lon = Number(lon);
+
+  if (!(lat >= -90 && lat <= 90) || !(lon >= -180 && lon <= 180)) {
+    throw errors.validation('Invalid geo point ' + JSON.stringify(value) + '.');
+  }
+
+  return {
+    lat : lat,
+    lon : lon
+  };
+};
+
+// Convert the given shape into a GeoJSON geometry.
+var toShape = function(value) {
+  if (_.isPlainObject(value) && _.isString(value.type) && value.type.toLowerCase() != 'point') {
+    if (value.coordinates == undefined && value.geometries == undefined) {
+      throw errors.validation('Invalid geo shape ' + JSON.stringify(value) + '.');
+    }
+    return value;
+  }
+
+  var point = toPoint(value);
+  return {
+    type        : 'point',
+    coordinates : [point.lon, point.lat]
+  };
+};
+
+// Build the query for the 'near' modifier.
+var distanceQuery = function(field, near) {
+  if (near.distance == undefined) {
+    throw errors.validation('The "near" modifier on field "' + field + '" requires a distance.');
+  }
+
+  var query = {
+    geo_distance: {
+      distance: _.isNumber(near.distance) ? near.distance + 'm' : near.distance
+    }
+  };
+  query.geo_distance[field] = toPoint(near);
+
+  return query;
+};
+
+// Build the query for the 'withinBox' modifier.
+var boxQuery = function(field, box) {
+  var query = {
+    geo_bounding_box: {}
+  };
+  query.geo_bounding_box[field] = {
+    top_left     : toPoint(box.topLeft),
+    bottom_right : toPoint(box.bottomRight)
+  };
+
+  return query;
+};
+
+// Build the query for the 'withinPolygon' modifier.
+var polygonQuery = function(field, points) {
+  if (!Array.isArray(points) || points.length < 3) {
+    throw errors.validation('The "withinPolygon" modifier on field "' + field + '" requires at least 3 points.');
+  }
+
+  var query = {
+    geo_polygon: {}
+  };
+  query.geo_polygon[field] = {
+    points: points.map(toPoint)
+  };
+
+  return query;
+};
+
+// Build the sort by distance from the given origin, in the form
+// { lat, lng, order, unit }.
+var distanceSort = function(field, origin) {
+  var sort = {
+    _geo_distance: {
+      order : origin.order || 'asc',
+      unit  : origin.unit || 'm'
+    }
+  };
+  sort._geo_distance[field] = toPoint(origin);
+
+  return sort;
+};
+
+module.exports = {
+  isGeo         : isGeo,
+  fieldType     : fieldType,
+  toSource      : toSource,
+  fromSource    : fromSource,
+  distanceQuery : distanceQuery,
+  boxQuery      : boxQuery,
+  polygonQuery  : polygonQuery,
+  distanceSort  : distanceSort
+};
@@ -0,0 +1,136 @@
+/**
+ * Module Dependencies
+ */
+
+var _      = require('lodash');
+var errors = require('./errors');
+
+/**
+ * Indices.js
+ *
+ * Resolves the index used for an operation, based on the index strategy
+ * declared with the 'index' property of the model or the connection.
+ *
+ * The strategy can be:
+ *
+ *   - A static index name, e.g. 'articles'.
+ *
+ *   - A date pattern, e.g. 'logs-YYYY.MM.DD', where YYYY, MM, DD and HH are
+ *     replaced by the (UTC) year, month, day and hour. Records are written to
+ *     the index for the current date, while reads are made on all indices
+ *     matching the pattern e.g. 'logs-*.*.*'. Since index names are always
+ *     lower case, any upper case date token makes the name a pattern.
+ *
+ *   - An object with a date pattern and the date field of the record that
+ *     determines the index it is written to, instead of the current date:
+ *     { pattern: 'logs-YYYY.MM.DD', dateField: 'createdAt' }
+ *
+ *   - An object with a prefix and a tenant field, giving one index per tenant:
+ *     { prefix: 'orders-', tenantField: 'customer' }
+ *     Records are written to the index of their tenant. Reads are made on the
+ *     tenant's index if the criteria filter on the tenant field, or on all
+ *     tenants' indices otherwise.
+ *
+ *   - A function, called with a context object and returning the index name:
+ *     { collectionName, operation, record, criteria }, where 'operation' is
+ *     either 'write' or 'read'. A record is given for writes, and the criteria
+ *     for reads. Wildcard patterns and comma-separated lists may be returned
+ *     for reads.
+ */
+
+// Date tokens that can be used in date patterns, and the functions giving
+// their values for a given date.
+var dateTokens = {
+  YYYY : function(date) { return String(date.getUTCFullYear()); },
+  MM   : function(date) { return pad(date.getUTCMonth() + 1); },
+  DD   : function(date) { return pad(date.getUTCDate()); },
+  HH   : function(date) { return pad(date.getUTCHours()); }
+};
+
+var dateTokensRegExp = new RegExp(Object.keys(dateTokens).join('|'), 'g');
+
+// Resolve the index for the given strategy and context.
+var resolve = function(strategy, context) {
+  if (_.isFunction(strategy)) {
+    return strategy(context);
+  }
+
+  if (_.isString(strategy)) {
+    return isDatePattern(strategy) ? resolveDatePattern(strategy, undefined, context) : strategy;
+  }
+
+  if (strategy.pattern != undefined) {
+    return resolveDatePattern(strategy.pattern, strategy.dateField, context);
+  }
+
+  if (strategy.tenantField != undefined) {
+    return resolveTenant(strategy.prefix || '', strategy.tenantField, context);
+  }
+
+  throw errors.validation('Invalid index strategy for the "' + context.collectionName + '" collection.');
+};
+
+// Whether the given index name is a wildcard pattern or a list of indices,
+// rather than the name of a single index. Operations on single documents
+// require the name of a single index.
+var isPattern = function(indexName) {
+  return /[*,]/.test(indexName);
+};
+
+var isDatePattern = function(value) {
+  return new RegExp(dateTokensRegExp.source).test(value);
+};
+
+var resolveDatePattern = function(pattern, dateField, context) {
+  if (context.operation == 'read') {
+    return pattern.replace(dateTokensRegExp, '*');
+  }
+
+  var date = new Date();
+  if (dateField != undefined && context.record && context.record[dateField] != undefined) {
+    date = new Date(context.record[dateField]);
+  }
+
+  return pattern.replace(dateTokensRegExp, function(token) {
+    return dateTokens[token](date);
+  });
+};
+
+var resolveTenant = function(prefix, tenantField, context) {
+  if (context.operation == 'read') {
+    var tenant = context.criteria && context.criteria.where ? context.criteria.where[tenantField] : undefined;
+
+    if (Array.isArray(tenant)) {
+      return tenant.map(function(value) {
+        return prefix + tenantName(value);
+      }).join(',');
+    }
+
+    if (tenant != undefined && !_.isObject(tenant)) {
+      return prefix + tenantName(tenant);
+    }
+
+    return prefix + '*';
+  }
+
+  if (!context.record || context.record[tenantField] == undefined) {
+    throw errors.validation('The "' + tenantField + '" field is required for determining the index of "' +
+      context.collectionName + '" records.');
+  }
+
+  return prefix + tenantName(context.record[tenantField]);
+};
+
+// Index names must be lower case.
+var tenantName = function(value) {
+  return String(value).toLowerCase();
+};
+
+var pad = function(value) {
+  return value < 10 ? '0' + value : String(value);
+};
+
+module.exports = {
+  resolve   : resolve,
+  isPattern : isPattern
+};
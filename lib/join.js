@@ -0,0 +1,186 @@
+/**
+ * Module Dependencies
+ */
+
+var _     = require('lodash');
+var async = require('async');
+
+/**
+ * Join.js
+ *
+ * Implements the 'join' method of the Waterline associations interface.
+ *
+ * Instead of Waterline core's polyfill, which makes one 'find' request per
+ * parent record and association, the children of all parent records are
+ * retrieved at once for each association; with a single 'mget' request when
+ * they are looked up by their primary key, or a single 'terms' query
+ * otherwise. Many-to-many associations take one more query, for the junction
+ * records.
+ *
+ * The data store access is given as an object with the following functions,
+ * bound to the connection at hand:
+ *   - find(collectionName, criteria, cb): find records, applying all criteria.
+ *   - findAll(collectionName, criteria, cb): find all records matching the
+ *     'where' criteria, in the order given by the 'sort' criteria.
+ *   - mget(collectionName, primaryKeys, cb): get records by primary key, with
+ *     'false' for the ones that are not found.
+ *   - primaryKey(collectionName): get the primary key field of a collection.
+ *   - value(collectionName, record, field): get the value of a record's field.
+ */
+
+// Find the parent records matching the given criteria, and populate them with
+// the children of each association given in the criteria's 'joins'.
+var join = function(collectionName, criteria, store, cb) {
+  var joins = criteria.joins || [];
+
+  store.find(collectionName, _.omit(criteria, 'joins'), function(err, parents) {
+    if (err) return cb(err);
+
+    if (!parents.length || !joins.length) {
+      return cb(null, parents);
+    }
+
+    async.eachSeries(groupJoins(joins), function(instructions, c) {
+      if (instructions.length == 2) {
+        return populateThroughJunction(parents, instructions[0], instructions[1], store, c);
+      }
+      populate(parents, instructions[0], store, c);
+    }, function(err) {
+      if (err) return cb(err);
+      return cb(null, parents);
+    });
+  });
+};
+
+// Group the join instructions by association. Many-to-many associations are
+// given as two instructions; one from the parent to the junction collection,
+// and one from the junction to the child collection.
+var groupJoins = function(joins) {
+  var groups = [];
+
+  for (var i = 0; i < joins.length; i++) {
+    if (joins[i].junctionTable && joins[i + 1] && joins[i + 1].parent == joins[i].child) {
+      groups.push([joins[i], joins[i + 1]]);
+      i++;
+    } else {
+      groups.push([joins[i]]);
+    }
+  }
+
+  return groups;
+};
+
+// Populate a one-to-one or one-to-many association.
+var populate = function(parents, instruction, store, cb) {
+  var parentValues = getValues(parents, instruction.parent, instruction.parentKey, store);
+
+  fetchChildren(instruction, parentValues, store, function(err, children) {
+    if (err) return cb(err);
+
+    var childrenByKey = _.groupBy(children, function(child) {
+      return store.value(instruction.child, child, instruction.childKey);
+    });
+
+    parents.forEach(function(parent) {
+      var key = store.value(instruction.parent, parent, instruction.parentKey);
+      parent[instruction.alias] = limit(childrenByKey[key] || [], instruction);
+    });
+
+    cb();
+  });
+};
+
+// Populate a many-to-many association, through its junction collection.
+var populateThroughJunction = function(parents, junctionInstruction, childInstruction, store, cb) {
+  var parentValues = getValues(parents, junctionInstruction.parent, junctionInstruction.parentKey, store);
+
+  // The junction records are not limited by the association's criteria.
+  fetchChildren(_.omit(junctionInstruction, 'criteria'), parentValues, store, function(err, junctions) {
+    if (err) return cb(err);
+
+    var childValues = getValues(junctions, childInstruction.parent, childInstruction.parentKey, store);
+
+    fetchChildren(childInstruction, childValues, store, function(err, children) {
+      if (err) return cb(err);
+
+      var childrenByKey = _.keyBy(children, function(child) {
+        return store.value(childInstruction.child, child, childInstruction.childKey);
+      });
+
+      var junctionsByParent = _.groupBy(junctions, function(junction) {
+        return store.value(junctionInstruction.child, junction, junctionInstruction.childKey);
+      });
+
+      // Keep the order of the children as retrieved, which follows the sort
+      // criteria of the association.
+      var childOrder = _.invert(_.keys(childrenByKey));
+
+      parents.forEach(function(parent) {
+        var key = store.value(junctionInstruction.parent, parent, junctionInstruction.parentKey);
+
+        var parentChildren = _.compact(_.map(junctionsByParent[key], function(junction) {
+          return childrenByKey[store.value(childInstruction.parent, junction, childInstruction.parentKey)];
+        }));
+        parentChildren = _.sortBy(_.uniq(parentChildren), function(child) {
+          return parseInt(childOrder[store.value(childInstruction.child, child, childInstruction.childKey)], 10);
+        });
+
+        parent[childInstruction.alias] = limit(parentChildren, childInstruction);
+      });
+
+      cb();
+    });
+  });
+};
+
+// Fetch the children whose key matches any of the given values, in a single
+// request.
+var fetchChildren = function(instruction, values, store, cb) {
+  if (!values.length) {
+    return cb(null, []);
+  }
+
+  var criteria = instruction.criteria || {};
+
+  // Children looked up by primary key, without any other criteria, can be
+  // retrieved with 'mget'.
+  if (instruction.childKey == store.primaryKey(instruction.child) && _.isEmpty(criteria.where)) {
+    return store.mget(instruction.child, values, function(err, children) {
+      if (err) return cb(err);
+      return cb(null, _.filter(children, function(child) {
+        return child !== false;
+      }));
+    });
+  }
+
+  var where = _.clone(criteria.where || {});
+  where[instruction.childKey] = values;
+
+  store.findAll(instruction.child, {
+    where : where,
+    sort  : criteria.sort
+  }, cb);
+};
+
+// Get the distinct, defined values of the given field of the records.
+var getValues = function(records, collectionName, field, store) {
+  return _.uniq(_.filter(_.map(records, function(record) {
+    return store.value(collectionName, record, field);
+  }), function(value) {
+    return value !== undefined && value !== null;
+  }));
+};
+
+// Apply the 'skip' and 'limit' criteria of the association to the children of
+// a single parent.
+var limit = function(children, instruction) {
+  var criteria = instruction.criteria || {};
+  var start    = criteria.skip || 0;
+  var end      = criteria.limit != undefined ? start + criteria.limit : undefined;
+
+  return children.slice(start, end);
+};
+
+module.exports = {
+  join: join
+};
@@ -0,0 +1,211 @@
+/**
+ * Module Dependencies
+ */
+
+var _      = require('lodash');
+var schema = require('./schema');
+var geo    = require('./geo');
+
+/**
+ * Mapping.js
+ *
+ * Translates between Elastic Search mappings and Waterline attributes.
+ *
+ * The mapping of each attribute is derived from its Waterline type. String
+ * attributes are mapped as exact-match ('keyword') fields so that they can be
+ * used in 'find' criteria; setting the 'analyzed' property on the attribute
+ * adds an analyzed sub-field named 'analyzed' that can be used for full-text
+ * search. Its value can be the name of the analyzer to use.
+ *
+ *   title: {
+ *     type     : 'string',
+ *     analyzed : 'english'
+ *   }
+ *
+ * Setting the 'nested' property on a 'json' or 'array' attribute maps it as a
+ * 'nested' field. This allows storing associated records inside their parent,
+ * e.g. the line items of an order, so that parents can be filtered by the
+ * properties of their children in a single query; each object of the array is
+ * then matched on its own.
+ *
+ *   items: {
+ *     type   : 'array',
+ *     nested : true
+ *   }
+ *
+ * The sub-schema declared by a 'json' attribute (see './schema') is mapped as
+ * the properties of an 'object' field, or of a 'nested' field if the
+ * attribute is 'nested'. The same applies to the keys of the sub-schema,
+ * recursively, and to the items of 'array' attributes. Other 'json' and
+ * 'array' attributes are left to dynamic mapping, since their values may be of
+ * any shape.
+ *
+ * Geo attributes, i.e. 'json' attributes with the 'geo' property set to
+ * 'point' or 'shape' (see './geo'), are mapped as 'geo_point' and 'geo_shape'
+ * fields.
+ *
+ * An explicit 'mapping' property on the attribute always takes precedence.
+ */
+
+// The Elastic Search mapping for each Waterline type. Types that are not
+// listed here are left to dynamic mapping.
+var esMappings = {
+  string     : { type: 'keyword' },
+  email      : { type: 'keyword' },
+  text       : { type: 'text' },
+  mediumtext : { type: 'text' },
+  longtext   : { type: 'text' },
+  integer    : { type: 'long' },
+  float      : { type: 'double' },
+  date       : { type: 'date' },
+  datetime   : { type: 'date' },
+  boolean    : { type: 'boolean' },
+  binary     : { type: 'binary' }
+};
+
+// Types whose values may be of any shape. They are only mapped if the
+// attribute declares what they contain with its 'schema', 'items' or 'nested'
+// properties, and are left to dynamic mapping otherwise. Arrays have no type
+// of their own in Elastic Search; the mapping applies to their elements.
+var containerTypes = ['json', 'array'];
+
+// The Waterline type that corresponds to each Elastic Search field type.
+var waterlineTypes = {
+  string       : 'string',
+  keyword      : 'string',
+  text         : 'text',
+  long         : 'integer',
+  integer      : 'integer',
+  short        : 'integer',
+  byte         : 'integer',
+  double       : 'float',
+  float        : 'float',
+  half_float   : 'float',
+  scaled_float : 'float',
+  date         : 'datetime',
+  boolean      : 'boolean',
+  object       : 'json',
+  nested       : 'json'
+};
+
+// Build the properties of an object field's mapping for the given sub-schema.
+var fromSchema = function(subSchema) {
+  var properties = {};
+
+  _.forEach(subSchema, function(definition, key) {
+    var fieldMapping = fromAttribute(schema.normalise(definition));
+    if (fieldMapping != undefined) {
+      properties[key] = fieldMapping;
+    }
+  });
+
+  return properties;
+};
+
+// Build the properties of the Elastic Search mapping for the given Waterline
+// attributes.
+var fromAttributes = function(attributes) {
+  var properties = {};
+
+  _.forEach(attributes, function(attribute, field) {
+    var fieldMapping = fromAttribute(attribute);
+    if (fieldMapping != undefined) {
+      properties[field] = fieldMapping;
+    }
+  });
+
+  return properties;
+};
+
+// Build the mapping for a single attribute.
+var fromAttribute = function(attribute) {
+  if (attribute.mapping != undefined) {
+    return attribute.mapping;
+  }
+
+  // The primary key is stored as the document's '_id', and collection
+  // associations are not stored on the document at all.
+  if (attribute.primaryKey || attribute.collection != undefined) {
+    return;
+  }
+
+  if (esMappings[attribute.type] == undefined && !_.includes(containerTypes, attribute.type)) {
+    return;
+  }
+
+  if (geo.isGeo(attribute)) {
+    return { type: geo.fieldType(attribute) };
+  }
+
+  if (attribute.schema != undefined) {
+    return {
+      type       : attribute.nested ? 'nested' : 'object',
+      properties : fromSchema(attribute.schema)
+    };
+  }
+
+  if (attribute.type == 'array' && attribute.items != undefined) {
+    return fromAttribute(_.assign({ nested: attribute.nested }, schema.normalise(attribute.items)));
+  }
+
+  if (_.includes(containerTypes, attribute.type)) {
+    return attribute.nested ? { type: 'nested' } : undefined;
+  }
+
+  var fieldMapping = _.cloneDeep(esMappings[attribute.type]);
+
+  if (attribute.analyzed && fieldMapping.type == 'keyword') {
+    var analyzedMapping = { type: 'text' };
+    if (_.isString(attribute.analyzed)) {
+      analyzedMapping.analyzer = attribute.analyzed;
+    }
+    fieldMapping.fields = {
+      analyzed: analyzedMapping
+    };
+  }
+
+  return fieldMapping;
+};
+
+// Get the paths of the 'nested' fields in the given mapping properties,
+// including the ones within other fields.
+var nestedPaths = function(properties, prefix) {
+  var paths = [];
+
+  _.forEach(properties, function(property, field) {
+    var path = prefix ? prefix + '.' + field : field;
+
+    if (property.type == 'nested') {
+      paths.push(path);
+    }
+    if (property.properties != undefined) {
+      paths = paths.concat(nestedPaths(property.properties, path));
+    }
+  });
+
+  return paths;
+};
+
+// Translate the properties of an Elastic Search mapping into Waterline
+// attributes. Fields with types that have no Waterline equivalent are
+// described as 'json'.
+var toAttributes = function(properties) {
+  var attributes = {};
+
+  _.forEach(properties, function(property, field) {
+    // Object fields may have their 'type' omitted from the mapping.
+    var type = property.type || (property.properties ? 'object' : undefined);
+
+    attributes[field] = {
+      type: waterlineTypes[type] || 'json'
+    };
+  });
+
+  return attributes;
+};
+
+module.exports = {
+  fromAttributes : fromAttributes,
+  toAttributes   : toAttributes,
+  nestedPaths    : nestedPaths
+};
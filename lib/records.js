@@ -0,0 +1,126 @@
+/**
+ * Module Dependencies
+ */
+
+var _   = require('lodash');
+var geo = require('./geo');
+
+/**
+ * Records.js
+ *
+ * Converts Elastic Search documents into Waterline records, and record values
+ * into documents.
+ *
+ * The primary key of a record is stored as the document's '_id' rather than in
+ * its source, and it is mapped back onto the model's primary key attribute.
+ * Dates are stored as strings, and they are cast back into Date objects. Geo
+ * attributes are converted between the forms they are given in and the forms
+ * they are stored in (see './geo').
+ *
+ * Records carry the sequence number and primary term of their document as the
+ * '_seqNo' and '_primaryTerm' properties, when available. Passing them back
+ * when updating or destroying the record makes the operation fail if the
+ * document has been changed in the meantime.
+ *
+ * If the nested objects that matched the criteria were requested with the
+ * 'innerHits' option, they are listed by their path in the '_innerHits'
+ * property, e.g. { items: [{ sku: 'A', qty: 2 }] }.
+ *
+ * If a metadata key is configured, the document's metadata is exposed on each
+ * record under that key, e.g. with 'metadataKey' set to '_meta':
+ *
+ *   {
+ *     id    : 'AVx3...',
+ *     title : 'Hello world',
+ *     _meta : { index: 'articles_v1', score: 1.2, version: 3 }
+ *   }
+ */
+
+// The Waterline types that are stored as dates.
+var dateTypes = ['date', 'datetime'];
+
+// The Waterline types that are stored as numbers.
+var numberTypes = ['integer', 'float'];
+
+// Properties of records, and of the values given for writing them, that are
+// not stored in the document.
+var recordProperties = ['_seqNo', '_primaryTerm', '_score', '_highlight', '_cursor', '_distance', '_innerHits', '_options'];
+
+// Convert an Elastic Search hit, or a document returned by 'get' or 'mget',
+// into a record. The model is given as { primaryKey, attributes, metadataKey }.
+// The hit is left unchanged.
+var fromHit = function(hit, model) {
+  var record = _.clone(hit._source || {});
+
+  _.forEach(model.attributes, function(attribute, field) {
+    if (_.includes(dateTypes, attribute.type) && _.isString(record[field])) {
+      record[field] = new Date(record[field]);
+    }
+    if (geo.isGeo(attribute) && record[field] != undefined) {
+      record[field] = geo.fromSource(record[field], attribute);
+    }
+  });
+
+  if (model.primaryKey != undefined) {
+    record[model.primaryKey] = castPrimaryKey(hit._id, model.attributes[model.primaryKey]);
+  }
+
+  if (hit._seq_no != undefined) {
+    record._seqNo       = hit._seq_no;
+    record._primaryTerm = hit._primary_term;
+  }
+
+  if (hit.inner_hits != undefined) {
+    record._innerHits = _.mapValues(hit.inner_hits, function(innerHits) {
+      return _.map(innerHits.hits.hits, '_source');
+    });
+  }
+
+  if (model.metadataKey != undefined) {
+    record[model.metadataKey] = getMetadata(hit);
+  }
+
+  return record;
+};
+
+// Get the document source for the given record values, which is the values
+// without the primary key and the properties that are not stored, such as the
+// metadata of a record that was retrieved earlier. Throws an error if the value
+// of a geo attribute is invalid.
+var toSource = function(values, model) {
+  var source = _.omit(values, _.compact([model.primaryKey, model.metadataKey].concat(recordProperties)));
+
+  _.forEach(model.attributes, function(attribute, field) {
+    if (geo.isGeo(attribute) && source[field] != undefined) {
+      source[field] = geo.toSource(source[field], attribute);
+    }
+  });
+
+  return source;
+};
+
+// Document ids are always strings, while numeric primary keys are expected as
+// numbers.
+var castPrimaryKey = function(id, attribute) {
+  if (attribute && _.includes(numberTypes, attribute.type) && /^-?\d+(\.\d+)?$/.test(id)) {
+    return Number(id);
+  }
+
+  return id;
+};
+
+// Get the metadata of a hit that are available.
+var getMetadata = function(hit) {
+  return _.omitBy({
+    index     : hit._index,
+    score     : hit._score,
+    version   : hit._version,
+    highlight : hit.highlight
+  }, _.isUndefined);
+};
+
+module.exports = {
+  recordProperties : recordProperties,
+  fromHit          : fromHit,
+  toSource         : toSource
+};
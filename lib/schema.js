@@ -0,0 +1,182 @@
+/**
+ * Module Dependencies
+ */
+
+var _ = require('lodash');
+
+/**
+ * Schema.js
+ *
+ * Validates and filters the values of 'json' attributes against the
+ * sub-schema they declare with their 'schema' property.
+ *
+ *   address: {
+ *     type   : 'json',
+ *     schema : {
+ *       street   : 'string',
+ *       postcode : { type: 'string', required: true },
+ *       tags     : ['string'],
+ *       location : {
+ *         type   : 'json',
+ *         schema : { lat: 'float', lng: 'float' }
+ *       },
+ *       lines    : {
+ *         type   : 'array',
+ *         nested : true,
+ *         items  : { type: 'json', schema: { sku: 'string', qty: 'integer' } }
+ *       }
+ *     }
+ *   }
+ *
+ * Each key of a sub-schema is defined either by its Waterline type, or by an
+ * object with its 'type' and, optionally, whether it is 'required', the
+ * 'schema' of 'json' values and the definition of the 'items' of 'array'
+ * values. A list with a single definition is short for an array of items of
+ * that definition. The value of a 'json' attribute can also be an array of
+ * objects, in which case each object is checked against the schema.
+ *
+ * Keys that are not declared in the schema are removed. Alternatively, the
+ * keys to keep or to remove can be listed with the 'restrictAttributes' and
+ * 'skipAttributes' properties, without declaring their types.
+ *
+ * The values are never changed in place; filtered copies are returned.
+ */
+
+// Dates can be given as Date objects or as strings.
+var isDate = function(value) {
+  return _.isDate(value) || (_.isString(value) && !isNaN(Date.parse(value)));
+};
+
+// Checks of the values of each Waterline type. Types not listed here are not
+// checked.
+var typeChecks = {
+  string   : _.isString,
+  text     : _.isString,
+  email    : _.isString,
+  integer  : _.isInteger,
+  float    : _.isFinite,
+  boolean  : _.isBoolean,
+  date     : isDate,
+  datetime : isDate,
+  json     : _.isObject,
+  array    : Array.isArray
+};
+
+// Normalise the definition of a sub-schema key into an object.
+var normalise = function(definition) {
+  if (_.isString(definition)) {
+    return { type: definition };
+  }
+
+  if (Array.isArray(definition)) {
+    return { type: 'array', items: normalise(definition[0]) };
+  }
+
+  return definition;
+};
+
+// Whether the given attribute declares how its values are filtered.
+var hasSchema = function(attribute) {
+  return attribute.schema != undefined
+    || attribute.items != undefined
+    || attribute.restrictAttributes != undefined
+    || attribute.skipAttributes != undefined;
+};
+
+// Validate and filter the values of the given attributes. Returns a copy of
+// the values, or throws an error listing all invalid values.
+var apply = function(attributes, values) {
+  var result = _.clone(values);
+  var errors = {};
+
+  _.forEach(attributes, function(attribute, field) {
+    if (values[field] != undefined && hasSchema(attribute)) {
+      result[field] = check(attribute, values[field], field, errors);
+    }
+  });
+
+  if (!_.isEmpty(errors)) {
+    var error = new Error('Invalid values: ' + _.flatMap(errors, function(fieldErrors) {
+      return _.map(fieldErrors, 'message');
+    }).join(' '));
+    error.code              = 'E_VALIDATION';
+    error.invalidAttributes = errors;
+    throw error;
+  }
+
+  return result;
+};
+
+// Check the given value against its definition, returning the filtered value.
+// Errors are collected by the path of the invalid value.
+var check = function(definition, value, path, errors) {
+  if (value == undefined) {
+    return value;
+  }
+
+  if (typeChecks[definition.type] != undefined && !typeChecks[definition.type](value)) {
+    addError(errors, path, 'type', '"' + path + '" must be of type "' + definition.type + '".');
+    return value;
+  }
+
+  if (definition.type == 'array' || (Array.isArray(value) && definition.items == undefined)) {
+    return value.map(function(item, i) {
+      var itemPath = path + '.' + i;
+      if (definition.items != undefined) {
+        return check(normalise(definition.items), item, itemPath, errors);
+      }
+      return _.isPlainObject(item) ? filterObject(definition, item, itemPath, errors) : item;
+    });
+  }
+
+  if (_.isPlainObject(value)) {
+    return filterObject(definition, value, path, errors);
+  }
+
+  return value;
+};
+
+// Filter the keys of an object according to the given definition, checking
+// the values of the ones declared in its schema.
+var filterObject = function(definition, object, path, errors) {
+  var result = object;
+
+  if (definition.schema != undefined) {
+    result = {};
+
+    _.forEach(definition.schema, function(keyDefinition, key) {
+      keyDefinition = normalise(keyDefinition);
+
+      if (object[key] == undefined) {
+        if (keyDefinition.required) {
+          addError(errors, path + '.' + key, 'required', '"' + path + '.' + key + '" is required.');
+        }
+        return;
+      }
+
+      result[key] = check(keyDefinition, object[key], path + '.' + key, errors);
+    });
+  }
+
+  if (definition.restrictAttributes != undefined) {
+    result = _.pick(result, definition.restrictAttributes);
+  }
+  if (definition.skipAttributes != undefined) {
+    result = _.omit(result, definition.skipAttributes);
+  }
+
+  return result;
+};
+
+var addError = function(errors, path, rule, message) {
+  errors[path] = errors[path] || [];
+  errors[path].push({
+    rule    : rule,
+    message : message
+  });
+};
+
+module.exports = {
+  normalise : normalise,
+  apply     : apply
+};
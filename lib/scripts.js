@@ -0,0 +1,194 @@
+/**
+ * Module Dependencies
+ */
+
+var _      = require('lodash');
+var errors = require('./errors');
+
+/**
+ * Scripts.js
+ *
+ * Compiles atomic update operators into a Painless script, so that a record
+ * can be changed based on its current values without reading it first.
+ *
+ *   {
+ *     $inc         : { stock: -1 },
+ *     $push        : { tags: 'sale' },
+ *     $pull        : { tags: 'new' },
+ *     $set         : { updatedBy: 'admin' },
+ *     $setOnInsert : { createdBy: 'admin' }
+ *   }
+ *
+ * The supported operators are:
+ *   - $set: set fields to the given values.
+ *   - $unset: remove the given fields; values are ignored.
+ *   - $inc / $dec: increment / decrement numeric fields by the given amounts.
+ *     Missing fields are treated as 0.
+ *   - $push: append the given value to array fields. Multiple values are
+ *     appended with { $each: [...] }.
+ *   - $pull: remove all occurrences of the given value, or of each value given
+ *     with { $in: [...] }, from array fields.
+ *   - $setOnInsert: set fields to the given values only if the record is
+ *     created by an upsert.
+ *
+ * The script's source is always the same; the operations are passed to it as
+ * parameters. Values and field names are never interpolated into the source,
+ * and Elastic Search only needs to compile the script once.
+ */
+
+var source = [
+  'for (op in params.operations) {',
+  '  def field = op.field;',
+  '  if (op.type == \'set\') {',
+  '    ctx._source[field] = op.value;',
+  '  } else if (op.type == \'unset\') {',
+  '    ctx._source.remove(field);',
+  '  } else if (op.type == \'inc\') {',
+  '    ctx._source[field] = ctx._source[field] == null ? op.value : ctx._source[field] + op.value;',
+  '  } else if (op.type == \'push\') {',
+  '    if (ctx._source[field] == null) {',
+  '      ctx._source[field] = [];',
+  '    } else if (!(ctx._source[field] instanceof List)) {',
+  '      ctx._source[field] = [ctx._source[field]];',
+  '    }',
+  '    ctx._source[field].addAll(op.values);',
+  '  } else if (op.type == \'pull\' && ctx._source[field] instanceof List) {',
+  '    def values = op.values;',
+  '    ctx._source[field].removeIf(item -> values.contains(item));',
+  '  }',
+  '}'
+].join('\n');
+
+var operators = ['$set', '$unset', '$inc', '$dec', '$push', '$pull', '$setOnInsert'];
+
+// Build the script applying the given operators.
+var buildScript = function(operations, primaryKeyField) {
+  validate(operations, primaryKeyField);
+
+  var scriptOperations = [];
+
+  _.forEach(operations, function(fields, operator) {
+    _.forEach(fields, function(value, field) {
+      switch (operator) {
+        case '$set':
+          scriptOperations.push({ type: 'set', field: field, value: value });
+          break;
+        case '$unset':
+          scriptOperations.push({ type: 'unset', field: field });
+          break;
+        case '$inc':
+          scriptOperations.push({ type: 'inc', field: field, value: value });
+          break;
+        case '$dec':
+          scriptOperations.push({ type: 'inc', field: field, value: -value });
+          break;
+        case '$push':
+          scriptOperations.push({ type: 'push', field: field, values: getValues(value, '$each') });
+          break;
+        case '$pull':
+          scriptOperations.push({ type: 'pull', field: field, values: getValues(value, '$in') });
+          break;
+      }
+    });
+  });
+
+  return {
+    lang   : 'painless',
+    source : source,
+    params : {
+      operations: scriptOperations
+    }
+  };
+};
+
+// Build the document created by an upsert, if the record does not exist. It
+// consists of the '$setOnInsert' values, with the rest of the operators
+// applied to it.
+var buildUpsert = function(operations) {
+  var document = _.cloneDeep(operations.$setOnInsert || {});
+
+  _.forEach(operations.$set, function(value, field) {
+    document[field] = value;
+  });
+  _.forEach(operations.$unset, function(value, field) {
+    delete document[field];
+  });
+  _.forEach(operations.$inc, function(value, field) {
+    document[field] = (document[field] || 0) + value;
+  });
+  _.forEach(operations.$dec, function(value, field) {
+    document[field] = (document[field] || 0) - value;
+  });
+  _.forEach(operations.$push, function(value, field) {
+    document[field] = [].concat(document[field] || [], getValues(value, '$each'));
+  });
+  _.forEach(operations.$pull, function(value, field) {
+    if (Array.isArray(document[field])) {
+      document[field] = _.difference(document[field], getValues(value, '$in'));
+    }
+  });
+
+  return document;
+};
+
+// Convert the values stored by the given operators with the given function,
+// which is given the values of each operator as { field: value }. The values
+// pushed onto array fields are given as lists. Throws an error if the
+// operations are invalid.
+var convertValues = function(operations, primaryKeyField, convert) {
+  validate(operations, primaryKeyField);
+
+  return _.mapValues(operations, function(fields, operator) {
+    if (operator == '$set' || operator == '$setOnInsert') {
+      return convert(fields);
+    }
+
+    if (operator == '$push') {
+      return _.mapValues(convert(_.mapValues(fields, function(value) {
+        return getValues(value, '$each');
+      })), function(values) {
+        return { $each: values };
+      });
+    }
+
+    return fields;
+  });
+};
+
+var validate = function(operations, primaryKeyField) {
+  if (!_.isPlainObject(operations) || _.isEmpty(operations)) {
+    throw errors.validation('Atomic update operations must be given as an object of operators.');
+  }
+
+  _.forEach(operations, function(fields, operator) {
+    if (!_.includes(operators, operator)) {
+      throw errors.validation('Unknown atomic update operator "' + operator + '".');
+    }
+
+    _.forEach(fields, function(value, field) {
+      if (field == primaryKeyField) {
+        throw errors.validation('The primary key cannot be updated.');
+      }
+
+      if ((operator == '$inc' || operator == '$dec') && !_.isFinite(value)) {
+        throw errors.validation('The "' + operator + '" value of "' + field + '" must be a number.');
+      }
+    });
+  });
+};
+
+// Get the values of a '$push' or '$pull' operation, given either as a single
+// value or as a list under the given modifier.
+var getValues = function(value, modifier) {
+  if (_.isPlainObject(value) && _.has(value, modifier)) {
+    return [].concat(value[modifier]);
+  }
+
+  return [value];
+};
+
+module.exports = {
+  convertValues : convertValues,
+  buildScript   : buildScript,
+  buildUpsert   : buildUpsert
+};
@@ -0,0 +1,138 @@
+/**
+ * Module Dependencies
+ */
+
+var _        = require('lodash');
+var util     = require('util');
+var Readable = require('stream').Readable;
+
+/**
+ * Scroll.js
+ *
+ * Retrieves large numbers of search hits using the scroll API, which, unlike
+ * 'from' and 'size', is not limited to the first 10,000 hits.
+ */
+
+// The number of hits retrieved per scroll request.
+var pageSize = 1000;
+
+// How long the search context is kept alive between scroll requests.
+var keepAlive = '1m';
+
+// Get all hits for the given search request.
+var all = function(client, params, cb) {
+  var hits = [];
+
+  client.search(_.assign({
+    scroll : keepAlive,
+    size   : pageSize
+  }, params), function handleResponse(err, res) {
+    if (err) return cb(err);
+
+    hits = hits.concat(res.hits.hits);
+
+    // A page with fewer hits than requested is the last one.
+    if (res.hits.hits.length == pageSize) {
+      return client.scroll({
+        scrollId : res._scroll_id,
+        scroll   : keepAlive
+      }, handleResponse);
+    }
+
+    clear(client, res._scroll_id);
+    return cb(null, hits);
+  });
+};
+
+// A readable stream of the hits for the given search request. The hits are
+// retrieved a page at a time, as they are read from the stream.
+//
+// Options:
+//   - limit: the maximum number of hits to stream in total.
+//   - transform: a function applied to each hit before it is pushed.
+var ScrollStream = function(client, params, options) {
+  Readable.call(this, { objectMode: true });
+
+  this.client   = client;
+  this.params   = params;
+  this.options  = options || {};
+  this.scrollId = undefined;
+  this.count    = 0;
+  this.fetching = false;
+};
+
+util.inherits(ScrollStream, Readable);
+
+ScrollStream.prototype._read = function() {
+  var self = this;
+
+  // Only one page is requested at a time; the hits of a page are all pushed
+  // at once when it arrives.
+  if (self.fetching) {
+    return;
+  }
+  self.fetching = true;
+
+  var handleResponse = function(err, res) {
+    self.fetching = false;
+
+    if (err) {
+      clear(self.client, self.scrollId);
+      return self.destroy(err);
+    }
+
+    self.scrollId = res._scroll_id;
+
+    var hits = res.hits.hits;
+    if (self.options.limit != undefined) {
+      hits = hits.slice(0, self.options.limit - self.count);
+    }
+    self.count += hits.length;
+
+    hits.forEach(function(hit) {
+      self.push(self.options.transform ? self.options.transform(hit) : hit);
+    });
+
+    // The stream ends when there are no more hits, or when the limit has been
+    // reached.
+    var limitReached = self.options.limit != undefined && self.count >= self.options.limit;
+    if (!hits.length || limitReached) {
+      clear(self.client, self.scrollId);
+      self.push(null);
+    }
+  };
+
+  if (self.scrollId == undefined) {
+    return self.client.search(_.assign({
+      scroll : keepAlive,
+      size   : pageSize
+    }, self.params), handleResponse);
+  }
+
+  self.client.scroll({
+    scrollId : self.scrollId,
+    scroll   : keepAlive
+  }, handleResponse);
+};
+
+// Create a readable stream of the hits for the given search request.
+var createStream = function(client, params, options) {
+  return new ScrollStream(client, params, options);
+};
+
+// Release the search context of a scroll that is no longer needed. It would
+// expire on its own anyway, so failures are ignored.
+var clear = function(client, scrollId) {
+  if (scrollId == undefined) {
+    return;
+  }
+
+  client.clearScroll({
+    scrollId: scrollId
+  }, function() {});
+};
+
+module.exports = {
+  all          : all,
+  createStream : createStream
+};
@@ -0,0 +1,181 @@
+/**
+ * Module Dependencies
+ */
+
+var _        = require('lodash');
+var criteria = require('./criteria');
+var errors   = require('./errors');
+
+/**
+ * Search.js
+ *
+ * Builds full-text search queries for the adapter's 'search' method.
+ *
+ * The query can be given either as raw Elastic Search query DSL, or in a
+ * simplified form:
+ *
+ *   {
+ *     q         : 'text to search for',
+ *     fields    : ['title^2', 'body'],
+ *     fuzziness : 'AUTO',
+ *     operator  : 'and'
+ *   }
+ *
+ * A plain string is treated as the 'q' property of the simplified form.
+ *
+ * It also builds the highlighting and the suggesters requested along with the
+ * query. Highlighting can be given as a list of fields, as an object of fields
+ * and their highlighting options, or as raw Elastic Search highlighting with a
+ * 'fields' property:
+ *
+ *   highlight: ['title', 'body']
+ *   highlight: { body: { fragment_size: 100, number_of_fragments: 3 } }
+ *
+ * Suggesters are given by name, either in a simplified form with their 'type'
+ * ('completion', 'phrase' or 'term'), or as raw Elastic Search suggesters. The
+ * text of simplified suggesters defaults to the 'q' of the query:
+ *
+ *   suggest: {
+ *     autocomplete : { type: 'completion', field: 'suggest', size: 5 },
+ *     didYouMean   : { type: 'phrase', field: 'title.trigram' }
+ *   }
+ */
+
+// Properties that are recognised in the simplified form of the query.
+var simplifiedProperties = ['q', 'fields', 'fuzziness', 'operator'];
+
+// Build the query for the given full-text query and Waterline 'where'
+// criteria. The full-text query determines the scoring, while the criteria are
+// applied as filters that do not affect it. The criteria options are passed on
+// to './criteria'.
+var buildQuery = function(query, where, primaryKeyField, criteriaOptions) {
+  var fullTextQuery = buildFullTextQuery(query);
+
+  if (_.isEmpty(where)) {
+    return fullTextQuery;
+  }
+
+  return {
+    bool: {
+      must   : fullTextQuery,
+      filter : criteria.buildQuery(where, primaryKeyField, criteriaOptions)
+    }
+  };
+};
+
+// Build the full-text part of the query.
+var buildFullTextQuery = function(query) {
+  if (query == undefined || _.isEmpty(query)) {
+    return { match_all: {} };
+  }
+
+  if (_.isString(query)) {
+    query = { q: query };
+  }
+
+  if (!isSimplified(query)) {
+    return query;
+  }
+
+  var multiMatch = {
+    query: query.q
+  };
+
+  // If no fields are given, the index's default field(s) will be searched.
+  if (query.fields != undefined) {
+    multiMatch.fields = _.castArray(query.fields);
+  }
+  if (query.fuzziness != undefined) {
+    multiMatch.fuzziness = query.fuzziness;
+  }
+  if (query.operator != undefined) {
+    multiMatch.operator = query.operator;
+  }
+
+  return {
+    multi_match: multiMatch
+  };
+};
+
+// Build the highlighting of the request.
+var buildHighlight = function(highlight) {
+  if (Array.isArray(highlight)) {
+    var fields = {};
+    highlight.forEach(function(field) {
+      fields[field] = {};
+    });
+    return { fields: fields };
+  }
+
+  if (highlight.fields != undefined) {
+    return highlight;
+  }
+
+  return { fields: highlight };
+};
+
+// Build the suggesters of the request. The text of simplified suggesters
+// defaults to the text searched for by the given query; it must be given if
+// the query is in Elastic Search's DSL, since it has no text to default to.
+var buildSuggest = function(suggest, query) {
+  var text = _.isString(query) ? query : _.get(query, 'q');
+
+  return _.mapValues(suggest, function(suggester, name) {
+    if (suggester.type == undefined) {
+      return suggester;
+    }
+
+    if (suggester.text == undefined && text == undefined) {
+      throw errors.validation('The "' + name + '" suggester requires a "text", since the query has no text to suggest for.');
+    }
+
+    var esSuggester = {};
+    esSuggester[suggester.type == 'completion' ? 'prefix' : 'text'] = suggester.text != undefined ? suggester.text : text;
+    esSuggester[suggester.type] = _.omit(suggester, ['type', 'text']);
+
+    return esSuggester;
+  });
+};
+
+// Normalise the suggestions of a response into a list of options for each
+// suggester, each option having its 'text' and 'score'. The options of
+// completion suggesters also include the 'record' they were suggested from,
+// converted with the given function.
+var normaliseSuggestions = function(suggest, hitToModel) {
+  return _.mapValues(suggest, function(entries) {
+    return _.flatMap(entries, function(entry) {
+      return entry.options.map(function(option) {
+        var suggestion = _.omitBy({
+          text        : option.text,
+          score       : option.score != undefined ? option.score : option._score,
+          highlighted : option.highlighted,
+          freq        : option.freq
+        }, _.isUndefined);
+
+        if (option._source != undefined) {
+          suggestion.record = hitToModel(option);
+        }
+
+        return suggestion;
+      });
+    });
+  });
+};
+
+// Whether the given query is in the simplified form. It is considered to be
+// so if it has the 'q' property and no properties other than the ones
+// recognised in the simplified form.
+var isSimplified = function(query) {
+  if (query.q == undefined) {
+    return false;
+  }
+
+  return _.difference(Object.keys(query), simplifiedProperties).length == 0;
+};
+
+module.exports = {
+  buildQuery           : buildQuery,
+  buildHighlight       : buildHighlight,
+  buildSuggest         : buildSuggest,
+  normaliseSuggestions : normaliseSuggestions
+};
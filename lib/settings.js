@@ -0,0 +1,153 @@
+/**
+ * Module Dependencies
+ */
+
+var _      = require('lodash');
+var errors = require('./errors');
+
+/**
+ * Settings.js
+ *
+ * Builds the index settings declared with the 'indexSettings' property of a
+ * model, validates that the analyzers and normalizers referenced in its
+ * mapping are defined, and detects differences from the live settings.
+ *
+ *   indexSettings: {
+ *     shards          : 1,
+ *     replicas        : 1,
+ *     refreshInterval : '5s',
+ *     analysis        : {
+ *       analyzer: {
+ *         autocomplete: {
+ *           tokenizer : 'autocomplete',
+ *           filter    : ['lowercase']
+ *         }
+ *       },
+ *       tokenizer: {
+ *         autocomplete: { type: 'edge_ngram', min_gram: 2, max_gram: 10 }
+ *       }
+ *     }
+ *   }
+ *
+ * Any other Elastic Search index setting can be given as well, by its name.
+ */
+
+// Shorthands for common settings, and the settings they stand for.
+var shorthands = {
+  shards          : 'number_of_shards',
+  replicas        : 'number_of_replicas',
+  refreshInterval : 'refresh_interval'
+};
+
+// Analyzers that are built into Elastic Search and don't need to be defined.
+var builtInAnalyzers = [
+  'standard', 'simple', 'whitespace', 'stop', 'keyword', 'pattern',
+  'fingerprint', 'arabic', 'armenian', 'basque', 'bengali', 'brazilian',
+  'bulgarian', 'catalan', 'cjk', 'czech', 'danish', 'dutch', 'english',
+  'estonian', 'finnish', 'french', 'galician', 'german', 'greek', 'hindi',
+  'hungarian', 'indonesian', 'irish', 'italian', 'latvian', 'lithuanian',
+  'norwegian', 'persian', 'portuguese', 'romanian', 'russian', 'sorani',
+  'spanish', 'swedish', 'turkish', 'thai'
+];
+
+// Normalizers that are built into Elastic Search.
+var builtInNormalizers = ['lowercase'];
+
+// Mapping parameters that reference analyzers.
+var analyzerParameters = ['analyzer', 'search_analyzer', 'search_quote_analyzer'];
+
+// Build the Elastic Search index settings from the declared ones.
+var build = function(indexSettings) {
+  if (indexSettings == undefined) {
+    return;
+  }
+
+  var esSettings = {};
+  _.forEach(indexSettings, function(value, name) {
+    esSettings[shorthands[name] || name] = value;
+  });
+
+  return esSettings;
+};
+
+// Validate that the analyzers and normalizers referenced by the given mapping
+// properties are either built in or defined in the given index settings.
+// Returns an error listing the undefined ones, if any.
+var validateAnalysis = function(properties, esSettings) {
+  var analysis = (esSettings && esSettings.analysis) || {};
+  var missing  = [];
+
+  var check = function(properties) {
+    _.forEach(properties, function(property, field) {
+      analyzerParameters.forEach(function(parameter) {
+        var analyzer = property[parameter];
+        if (analyzer != undefined && !_.includes(builtInAnalyzers, analyzer) && !_.has(analysis, ['analyzer', analyzer])) {
+          missing.push('analyzer "' + analyzer + '" (' + field + ')');
+        }
+      });
+
+      var normalizer = property.normalizer;
+      if (normalizer != undefined && !_.includes(builtInNormalizers, normalizer) && !_.has(analysis, ['normalizer', normalizer])) {
+        missing.push('normalizer "' + normalizer + '" (' + field + ')');
+      }
+
+      // Check sub-fields and the properties of object fields as well.
+      check(property.fields);
+      check(property.properties);
+    });
+  };
+
+  check(properties);
+
+  if (!missing.length) {
+    return null;
+  }
+
+  return errors.validation('The mapping references undefined ' + missing.join(', ') + '.');
+};
+
+// Get the differences between the declared settings and the live settings of
+// an index, as a list of { setting, declared, live } objects. Only the declared
+// settings are compared, since Elastic Search adds many of its own.
+var getDrift = function(esSettings, liveSettings) {
+  var declared = flatten(esSettings);
+  var live     = flatten(liveSettings);
+
+  var drift = [];
+  _.forEach(declared, function(value, setting) {
+    if (live[setting] !== value) {
+      drift.push({
+        setting  : setting,
+        declared : value,
+        live     : live[setting]
+      });
+    }
+  });
+
+  return drift;
+};
+
+// Flatten settings into dotted names with string values, which is how Elastic
+// Search returns them. The 'index.' prefix is optional when giving settings,
+// so it is removed.
+var flatten = function(settings, prefix, result) {
+  result = result || {};
+
+  _.forEach(settings, function(value, name) {
+    var key = (prefix ? prefix + '.' + name : name).replace(/^index\./, '');
+
+    if (_.isPlainObject(value)) {
+      flatten(value, key, result);
+    } else {
+      result[key] = Array.isArray(value) ? value.map(String).join(',') : String(value);
+    }
+  });
+
+  return result;
+};
+
+module.exports = {
+  build            : build,
+  validateAnalysis : validateAnalysis,
+  getDrift         : getDrift
+};
@@ -0,0 +1,119 @@
+/**
+ * Module Dependencies
+ */
+
+var _ = require('lodash');
+
+/**
+ * Tracing.js
+ *
+ * Traces the requests that the adapter sends to the cluster. The following can
+ * be set in the connection's configuration:
+ *
+ *   - debug: log every request, with its index, type, body and duration,
+ *     through the Sails logger. Requests are logged at the 'debug' level, or at
+ *     the level given instead of 'true', e.g. 'info'.
+ *   - slowQueryThreshold: log a warning, with the full request, for every
+ *     request taking longer than the given milliseconds.
+ *   - onRequest: a function called with each request before it is sent, as
+ *     { connection, method, index, type, body, params }.
+ *   - onResponse: a function called with each request once it is complete,
+ *     with the 'duration' in milliseconds, and the 'status', 'error', 'hits'
+ *     and 'took' of the response added, when available.
+ *
+ * Errors thrown by the hooks are logged, and do not affect the request.
+ */
+
+// Whether requests of the given connection configuration need to be traced.
+var isEnabled = function(config) {
+  return !!(config.debug || config.slowQueryThreshold != undefined || config.onRequest || config.onResponse);
+};
+
+// Start tracing a request of the given client method. Returns the function to
+// call with the outcome of the request, once it is complete.
+var start = function(config, method, params) {
+  if (!isEnabled(config)) {
+    return _.noop;
+  }
+
+  var event = {
+    connection : config.identity,
+    method     : method,
+    index      : params.index,
+    type       : params.type,
+    body       : params.body,
+    params     : params
+  };
+  var startTime = Date.now();
+
+  callHook(config.onRequest, 'onRequest', event);
+
+  return function(err, response, status) {
+    complete(config, event, Date.now() - startTime, err, response, status);
+  };
+};
+
+// Log the completed request, and pass it on to the 'onResponse' hook.
+var complete = function(config, event, duration, err, response, status) {
+  event = _.assign({}, event, {
+    duration : duration,
+    status   : err ? err.status || err.statusCode : status
+  });
+
+  if (err) {
+    event.error = err;
+  }
+  if (response && response.hits != undefined) {
+    event.hits = _.isObject(response.hits.total) ? response.hits.total.value : response.hits.total;
+  }
+  if (response && response.took != undefined) {
+    event.took = response.took;
+  }
+
+  if (config.debug) {
+    var level = _.isString(config.debug) ? config.debug : 'debug';
+    sails.log[level](describe(event) + (event.error ? ' failed: ' + event.error.message : ''));
+  }
+
+  if (config.slowQueryThreshold != undefined && duration > config.slowQueryThreshold) {
+    sails.log.warn('Slow elasticsearch request (threshold ' + config.slowQueryThreshold + 'ms): ' + describe(event));
+  }
+
+  callHook(config.onResponse, 'onResponse', event);
+};
+
+// Describe a request for the logs.
+var describe = function(event) {
+  var description = '[' + event.connection + '] ' + event.method;
+
+  if (event.index != undefined) {
+    description += ' index=' + [].concat(event.index).join(',');
+  }
+  if (event.type != undefined) {
+    description += ' type=' + event.type;
+  }
+  if (event.duration != undefined) {
+    description += ' (' + event.duration + 'ms)';
+  }
+  if (event.body != undefined) {
+    description += ' ' + JSON.stringify(event.body);
+  }
+
+  return description;
+};
+
+var callHook = function(hook, name, event) {
+  if (typeof hook != 'function') {
+    return;
+  }
+
+  try {
+    hook(event);
+  } catch (err) {
+    sails.log.warn('The "' + name + '" hook of the "' + event.connection + '" connection failed: ' + err.message);
+  }
+};
+
+module.exports = {
+  start: start
+};
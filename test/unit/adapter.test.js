@@ -0,0 +1,566 @@
+/**
+ * Test dependencies
+ */
+
+var assert        = require('assert');
+var _             = require('lodash');
+var elasticsearch = require('elasticsearch');
+var Waterline     = require('waterline');
+
+// The adapter reads the application's configuration when it is loaded.
+global.sails = global.sails || {
+  config : {},
+  log    : { error: _.noop, warn: _.noop, info: _.noop, debug: _.noop, verbose: _.noop }
+};
+
+var adapter = require('../../lib/adapter');
+
+
+describe('adapter', function() {
+
+  var Client = elasticsearch.Client;
+  var requests;
+  var responses;
+
+  // A client that records the requests made through it, and responds to each
+  // API method with the response set for it in 'responses'; either the
+  // response itself, a function of the request's parameters returning it, or
+  // { error } for a failed request.
+  var FakeClient = function() {
+    var client = this;
+
+    var method = function(name) {
+      return function(params, cb) {
+        requests.push([name, params]);
+
+        var response = responses[name];
+        if (typeof response == 'function') {
+          response = response(params);
+        }
+
+        setImmediate(function() {
+          if (response && response.error) {
+            return cb(response.error);
+          }
+          cb(null, response, 200);
+        });
+      };
+    };
+
+    ['ping', 'info', 'search', 'scroll', 'clearScroll', 'index', 'get', 'mget', 'update', 'delete', 'bulk',
+      'count', 'reindex', 'updateByQuery', 'deleteByQuery'].forEach(function(name) {
+      client[name] = method(name);
+    });
+
+    client.indices = {};
+    ['exists', 'create', 'delete', 'getMapping', 'putMapping', 'getAlias', 'updateAliases', 'getSettings',
+      'putSettings', 'close', 'open', 'refresh'].forEach(function(name) {
+      client.indices[name] = method('indices.' + name);
+    });
+
+    client.cluster = { health: method('cluster.health') };
+    client.tasks   = { get: method('tasks.get'), cancel: method('tasks.cancel') };
+    client.close   = _.noop;
+  };
+
+  // Get the parameters of the requests made to the given API method.
+  var requestsTo = function(name) {
+    return requests.filter(function(request) {
+      return request[0] == name;
+    }).map(function(request) {
+      return request[1];
+    });
+  };
+
+  var collections = {
+    article: {
+      identity    : 'article',
+      adapter     : { identity: 'article' },
+      primaryKey  : 'id',
+      _attributes : {
+        id    : { type: 'string', primaryKey: true },
+        title : { type: 'string' }
+      }
+    },
+    line: {
+      identity    : 'line',
+      adapter     : { identity: 'line' },
+      primaryKey  : 'id',
+      index       : { prefix: 'lines-', tenantField: 'customer' },
+      _attributes : {
+        id       : { type: 'string', primaryKey: true },
+        article  : { type: 'string' },
+        customer : { type: 'string' }
+      }
+    }
+  };
+
+  beforeEach(function(done) {
+    elasticsearch.Client = FakeClient;
+
+    requests  = [];
+    responses = {
+      'ping'           : true,
+      'info'           : { version: { number: '7.10.2' } },
+      'cluster.health' : { status: 'green' }
+    };
+
+    adapter.registerConnection({ identity: 'es', pingRetryDelay: 1 }, collections, done);
+  });
+
+  afterEach(function(done) {
+    elasticsearch.Client = Client;
+    adapter.teardown('es', done);
+  });
+
+  describe('registerConnection', function() {
+
+    var warn;
+    var warnings;
+
+    beforeEach(function(done) {
+      warn     = sails.log.warn;
+      warnings = [];
+      sails.log.warn = function(message) {
+        warnings.push(message);
+      };
+
+      adapter.teardown('es', done);
+    });
+
+    afterEach(function() {
+      sails.log.warn = warn;
+    });
+
+    var register = function(cb) {
+      adapter.registerConnection({ identity: 'es', pingRetryDelay: 1 }, {
+        article  : _.assign({ indexSettings: { replicas: 1 } }, collections.article),
+        comment  : { identity: 'comment', adapter: { identity: 'comment' }, indexSettings: { replicas: 1 } },
+        category : { identity: 'category', adapter: { identity: 'category' } }
+      }, cb);
+    };
+
+    it('should warn about index settings that differ from the declared ones', function(done) {
+      responses['indices.getSettings'] = function(params) {
+        // The comments' index does not exist yet.
+        if (params.index == 'comment') {
+          return {};
+        }
+        return { article_v1: { settings: { index: { number_of_replicas: '2' } } } };
+      };
+
+      register(function(err) {
+        assert.ifError(err);
+        assert.deepEqual(_.map(requestsTo('indices.getSettings'), 'index').sort(), ['article', 'comment']);
+        assert.deepEqual(warnings, [
+          'The "number_of_replicas" setting of the "article_v1" index is "2" instead of "1" as declared by the model.'
+        ]);
+        done();
+      });
+    });
+
+    it('should register the connection even if the settings cannot be checked', function(done) {
+      responses['indices.getSettings'] = { error: new Error('Forbidden') };
+
+      register(function(err) {
+        assert.ifError(err);
+        assert.equal(warnings.length, 2);
+        assert.equal(warnings[0], 'Could not check the index settings of the "article" collection: Forbidden');
+        done();
+      });
+    });
+
+  });
+
+  describe('through Waterline', function() {
+
+    var order;
+
+    beforeEach(function(done) {
+      var waterline = new Waterline();
+
+      waterline.loadCollection(Waterline.Collection.extend({
+        identity   : 'order',
+        connection : 'waterline',
+        migrate    : 'safe',
+        attributes : {
+          reference : { type: 'string', analyzed: true },
+          address   : { type: 'json', schema: { street: 'string', postcode: { type: 'string', required: true } } },
+          lines     : { type: 'array', nested: true, items: { type: 'json', schema: { sku: 'string', qty: 'integer' } } },
+          notes     : { type: 'json', mapping: { type: 'object', enabled: false } },
+          location  : { type: 'json', geo: 'point' }
+        }
+      }));
+
+      waterline.initialize({
+        adapters    : { elasticsearch: adapter },
+        connections : { waterline: { adapter: 'elasticsearch', pingRetryDelay: 1 } }
+      }, function(err, ontology) {
+        if (err) return done(err);
+        order = ontology.collections.order;
+        done();
+      });
+    });
+
+    afterEach(function(done) {
+      adapter.teardown('waterline', done);
+    });
+
+    it('should not treat the adapter\'s attribute properties as validation rules', function(done) {
+      responses['index'] = function(params) {
+        return { _index: params.index, _id: '1', _version: 1, result: 'created' };
+      };
+
+      order.create({
+        reference : 'A1',
+        address   : { street: 'High Street', postcode: 'N1', country: 'UK' },
+        lines     : [{ sku: 'A', qty: 2 }]
+      }, function(err, record) {
+        assert.ifError(err);
+        assert.equal(record.id, '1');
+        assert.deepEqual(requestsTo('index')[0].body.address, { street: 'High Street', postcode: 'N1' });
+        done();
+      });
+    });
+
+    it('should store geo attributes', function(done) {
+      responses['index'] = function(params) {
+        return { _index: params.index, _id: '1', _version: 1, result: 'created' };
+      };
+
+      order.create({ reference: 'A1', location: '51.5,-0.12' }, function(err, record) {
+        assert.ifError(err);
+        assert.deepEqual(requestsTo('index')[0].body.location, { lat: 51.5, lon: -0.12 });
+        assert.deepEqual(record.location, { lat: 51.5, lng: -0.12 });
+        done();
+      });
+    });
+
+  });
+
+  describe('find', function() {
+
+    var hits = _.times(3, function(i) {
+      return { _index: 'article', _id: String(i + 1), _source: { title: 'Article ' + (i + 1) } };
+    });
+
+    beforeEach(function() {
+      responses['search'] = function(params) {
+        var from = params.body.from || 0;
+        var page = hits.slice(from, params.body.size != undefined ? from + params.body.size : undefined);
+        return { _scroll_id: params.scroll && 's1', hits: { total: { value: hits.length }, hits: page } };
+      };
+      responses['clearScroll'] = {};
+    });
+
+    afterEach(function() {
+      delete collections.article.indexSettings;
+    });
+
+    it('should find all records with a single search if they fit in the result window', function(done) {
+      adapter.find('es', 'article', { where: {}, skip: 1 }, function(err, records) {
+        assert.ifError(err);
+        assert.deepEqual(_.map(records, 'id'), ['2', '3']);
+        assert.equal(requestsTo('search').length, 1);
+        assert.deepEqual(_.pick(requestsTo('search')[0].body, ['from', 'size']), { from: 1, size: 9999 });
+        done();
+      });
+    });
+
+    it('should scroll through the records that do not fit in the result window', function(done) {
+      collections.article.indexSettings = { max_result_window: 2 };
+
+      adapter.find('es', 'article', { where: {} }, function(err, records) {
+        assert.ifError(err);
+        assert.deepEqual(_.map(records, 'id'), ['1', '2', '3']);
+        assert.deepEqual(_.map(requestsTo('search'), 'scroll'), [undefined, '1m']);
+        done();
+      });
+    });
+
+    it('should scroll to pages beyond the result window', function(done) {
+      collections.article.indexSettings = { 'index.max_result_window': 2 };
+
+      adapter.find('es', 'article', { where: {}, skip: 1, limit: 2 }, function(err, records) {
+        assert.ifError(err);
+        assert.deepEqual(_.map(records, 'id'), ['2', '3']);
+        assert.equal(requestsTo('search').length, 1);
+        assert.equal(requestsTo('search')[0].scroll, '1m');
+        done();
+      });
+    });
+
+  });
+
+  describe('destroy', function() {
+
+    var documents;
+
+    // Store documents as Elastic Search does before the index is refreshed;
+    // they can be retrieved by id, but they are not searchable yet.
+    beforeEach(function() {
+      documents = {};
+
+      responses['index'] = function(params) {
+        documents[params.id] = params.body;
+        return { _index: params.index, _id: params.id, _version: 1, result: 'created' };
+      };
+      responses['get'] = function(params) {
+        if (documents[params.id] == undefined) {
+          return { error: _.assign(new Error('Not Found'), { status: 404 }) };
+        }
+        return { _index: params.index, _id: params.id, found: true, _source: documents[params.id] };
+      };
+      responses['mget'] = function(params) {
+        return {
+          docs: params.body.ids.map(function(id) {
+            return documents[id] == undefined
+              ? { _index: params.index, _id: id, found: false }
+              : { _index: params.index, _id: id, found: true, _source: documents[id] };
+          })
+        };
+      };
+      responses['delete'] = function(params) {
+        delete documents[params.id];
+        return { result: 'deleted' };
+      };
+      responses['bulk'] = function(params) {
+        return {
+          errors : false,
+          items  : params.body.map(function(action) {
+            delete documents[action.delete._id];
+            return { delete: { _id: action.delete._id, status: 200 } };
+          })
+        };
+      };
+      responses['search'] = { hits: { total: { value: 0 }, hits: [] } };
+    });
+
+    it('should destroy a record by its primary key right after it is created', function(done) {
+      adapter.create('es', 'article', { id: '1', title: 'Fox' }, function(err) {
+        assert.ifError(err);
+
+        adapter.destroy('es', 'article', { where: { id: '1' } }, function(err, records) {
+          assert.ifError(err);
+          assert.deepEqual(_.map(records, 'title'), ['Fox']);
+          assert.deepEqual(_.map(requestsTo('delete'), 'id'), ['1']);
+          assert.equal(requestsTo('search').length, 0);
+          assert.deepEqual(documents, {});
+          done();
+        });
+      });
+    });
+
+    it('should destroy records by a list of primary keys right after they are created', function(done) {
+      adapter.create('es', 'article', { id: '1', title: 'Fox' }, function(err) {
+        assert.ifError(err);
+
+        adapter.destroy('es', 'article', { where: { id: ['1', '2'] } }, function(err, records) {
+          assert.ifError(err);
+          assert.deepEqual(_.map(records, 'id'), ['1']);
+          assert.equal(requestsTo('search').length, 0);
+          assert.deepEqual(documents, {});
+          done();
+        });
+      });
+    });
+
+    it('should not match a record that does not exist', function(done) {
+      adapter.destroy('es', 'article', { where: { id: '1' } }, function(err, records) {
+        assert.ifError(err);
+        assert.deepEqual(records, []);
+        assert.equal(requestsTo('delete').length, 0);
+        done();
+      });
+    });
+
+  });
+
+  describe('conditional writes', function() {
+
+    var isValidationError = function(err) {
+      return err.code == 'E_VALIDATION' && /"_seqNo" and the "_primaryTerm"/.test(err.message);
+    };
+
+    it('should require both the sequence number and the primary term', function(done) {
+      adapter.update('es', 'article', { where: { id: '1' }, _seqNo: 3 }, { title: 'Fox' }, function(err) {
+        assert.ok(isValidationError(err));
+
+        adapter.destroy('es', 'article', { where: { id: '1', _primaryTerm: 1 } }, function(err) {
+          assert.ok(isValidationError(err));
+
+          adapter.atomicUpdate('es', 'article', '1', { $set: { title: 'Fox' } }, { _seqNo: 3 }, function(err) {
+            assert.ok(isValidationError(err));
+            assert.equal(requestsTo('update').length + requestsTo('get').length + requestsTo('delete').length, 0);
+            done();
+          });
+        });
+      });
+    });
+
+  });
+
+  describe('drop', function() {
+
+    beforeEach(function(done) {
+      responses['indices.getAlias'] = { posts_v1: { aliases: { posts: {} } } };
+      responses['indices.delete']   = { acknowledged: true };
+      responses['deleteByQuery']    = { deleted: 0 };
+
+      adapter.registerConnection({ identity: 'drop', pingRetryDelay: 1 }, {
+        post    : { identity: 'post', adapter: { identity: 'post' }, index: 'posts' },
+        comment : { identity: 'comment', adapter: { identity: 'comment' }, index: 'shared' },
+        reply   : { identity: 'reply', adapter: { identity: 'reply' }, index: 'shared' },
+        event   : { identity: 'event', adapter: { identity: 'event' }, index: 'events-YYYY.MM' }
+      }, done);
+    });
+
+    afterEach(function(done) {
+      adapter.teardown('drop', done);
+    });
+
+    it('should delete the index of the collection', function(done) {
+      adapter.drop('drop', 'post', [], function(err) {
+        assert.ifError(err);
+        assert.deepEqual(_.map(requestsTo('indices.delete'), 'index'), [['posts_v1']]);
+        assert.equal(requestsTo('deleteByQuery').length, 0);
+        done();
+      });
+    });
+
+    it('should only delete the documents of the collection from shared and pattern indices', function(done) {
+      adapter.drop('drop', 'comment', [], function(err) {
+        assert.ifError(err);
+
+        adapter.drop('drop', 'event', [], function(err) {
+          assert.ifError(err);
+          assert.deepEqual(requestsTo('deleteByQuery').map(function(params) {
+            return [params.index, params.type];
+          }), [['shared', 'comment'], ['events-*.*', 'event']]);
+          assert.equal(requestsTo('indices.delete').length, 0);
+          done();
+        });
+      });
+    });
+
+  });
+
+  describe('index strategies', function() {
+
+    beforeEach(function() {
+      responses['search'] = function(params) {
+        if (params.index == 'article') {
+          return { hits: { total: { value: 1 }, hits: [{ _index: 'article', _id: 'a1', _source: { title: 'Fox' } }] } };
+        }
+        return { hits: { total: { value: 0 }, hits: [] } };
+      };
+    });
+
+    // Get the parameters of the searches made on the indices of the lines.
+    var lineSearches = function() {
+      return requestsTo('search').filter(function(params) {
+        return params.index == 'lines-*';
+      });
+    };
+
+    it('should match nothing in indices that do not exist when searching for the records to change', function(done) {
+      adapter.update('es', 'line', { where: { article: 'a1' } }, { article: 'a2' }, function(err, records) {
+        assert.ifError(err);
+        assert.deepEqual(records, []);
+
+        adapter.destroy('es', 'line', { where: { article: 'a1' } }, function(err, records) {
+          assert.ifError(err);
+          assert.deepEqual(records, []);
+          assert.equal(lineSearches().length, 2);
+          lineSearches().forEach(function(params) {
+            assert.equal(params.ignoreUnavailable, true);
+            assert.equal(params.allowNoIndices, true);
+          });
+          done();
+        });
+      });
+    });
+
+    it('should match nothing in indices that do not exist when populating children', function(done) {
+      adapter.join('es', 'article', {
+        where : {},
+        joins : [{
+          parent    : 'article',
+          parentKey : 'id',
+          child     : 'line',
+          childKey  : 'article',
+          alias     : 'lines'
+        }]
+      }, function(err, articles) {
+        assert.ifError(err);
+        assert.deepEqual(articles[0].lines, []);
+        assert.equal(lineSearches()[0].ignoreUnavailable, true);
+        assert.equal(lineSearches()[0].allowNoIndices, true);
+        done();
+      });
+    });
+
+  });
+
+  describe('reindex', function() {
+
+    beforeEach(function() {
+      responses['indices.getAlias'] = { article_v1: { aliases: { article: {} } } };
+      responses['indices.create']   = { acknowledged: true };
+      responses['reindex']          = { task: 'node:1' };
+    });
+
+    it('should copy the data to the next version and swap the alias over to it', function(done) {
+      responses['tasks.get']             = { completed: true, task: { status: { total: 2, created: 2 } }, response: { failures: [] } };
+      responses['indices.updateAliases'] = { acknowledged: true };
+
+      adapter.reindex('es', 'article', { pollInterval: 1 }, function(err, result) {
+        assert.ifError(err);
+        assert.deepEqual(result, {
+          alias  : 'article',
+          from   : ['article_v1'],
+          to     : 'article_v2',
+          status : { total: 2, created: 2 }
+        });
+        assert.equal(requestsTo('indices.create')[0].index, 'article_v2');
+        assert.deepEqual(requestsTo('indices.updateAliases')[0].body.actions, [
+          { remove: { index: 'article_v1', alias: 'article' } },
+          { add: { index: 'article_v2', alias: 'article' } }
+        ]);
+        done();
+      });
+    });
+
+    it('should not reuse an index left behind by an earlier reindex', function(done) {
+      responses['indices.getAlias'] = function(params) {
+        if (params.index != undefined) {
+          return { article_v1: { aliases: { article: {} } }, article_v2: { aliases: {} } };
+        }
+        return { article_v1: { aliases: { article: {} } } };
+      };
+      responses['tasks.get']             = { completed: true, task: { status: {} }, response: { failures: [] } };
+      responses['indices.updateAliases'] = { acknowledged: true };
+
+      adapter.reindex('es', 'article', { pollInterval: 1 }, function(err, result) {
+        assert.ifError(err);
+        assert.equal(result.to, 'article_v3');
+        assert.deepEqual(result.from, ['article_v1']);
+        done();
+      });
+    });
+
+    it('should delete the new index and leave the alias as it is if reindexing fails', function(done) {
+      responses['tasks.get']      = { completed: true, task: { status: {} }, response: { failures: [{ cause: {} }] } };
+      responses['indices.delete'] = { acknowledged: true };
+
+      adapter.reindex('es', 'article', { pollInterval: 1 }, function(err) {
+        assert.equal(err.message, 'Reindexing "article" into "article_v2" failed.');
+        assert.deepEqual(_.map(requestsTo('indices.delete'), 'index'), ['article_v2']);
+        assert.equal(requestsTo('indices.updateAliases').length, 0);
+        done();
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,129 @@
+/**
+ * Test dependencies
+ */
+
+var assert       = require('assert');
+var aggregations = require('../../lib/aggregations');
+
+
+describe('aggregations', function() {
+
+  describe('isAggregate', function() {
+
+    it('should detect aggregate criteria', function() {
+      assert.equal(aggregations.isAggregate({ groupBy: ['type'] }), true);
+      assert.equal(aggregations.isAggregate({ average: ['age'] }), true);
+      assert.equal(aggregations.isAggregate({ where: {}, limit: 10 }), false);
+    });
+
+  });
+
+  describe('buildAggregations', function() {
+
+    it('should build metric aggregations without groups', function() {
+      assert.deepEqual(aggregations.buildAggregations({ sum: ['total'], average: 'age' }), {
+        sum_total   : { sum: { field: 'total' } },
+        average_age : { avg: { field: 'age' } }
+      });
+    });
+
+    it('should group by all fields with a composite aggregation', function() {
+      var aggs = aggregations.buildAggregations({ groupBy: ['type', 'status'], max: ['age'] });
+
+      assert.deepEqual(aggs.groupBy.composite.sources, [
+        { type: { terms: { field: 'type' } } },
+        { status: { terms: { field: 'status' } } }
+      ]);
+      assert.equal(aggs.groupBy.composite.after, undefined);
+      assert.deepEqual(aggs.groupBy.aggs, {
+        max_age: { max: { field: 'age' } }
+      });
+    });
+
+    it('should request the groups after the given key', function() {
+      var aggs = aggregations.buildAggregations({ groupBy: 'type' }, { type: 'b' });
+
+      assert.deepEqual(aggs.groupBy.composite.after, { type: 'b' });
+    });
+
+  });
+
+  describe('nextPage', function() {
+
+    var page = function(count) {
+      var buckets = [];
+      for (var i = 0; i < count; i++) {
+        buckets.push({ key: { type: 't' + i }, doc_count: 1 });
+      }
+      return { groupBy: { buckets: buckets, after_key: { type: 't' + (count - 1) } } };
+    };
+
+    it('should give the key of the last group of a full page', function() {
+      var size = aggregations.buildAggregations({ groupBy: 'type' }).groupBy.composite.size;
+
+      assert.deepEqual(aggregations.nextPage(page(size), { groupBy: 'type' }), { type: 't' + (size - 1) });
+    });
+
+    it('should give nothing after the last page', function() {
+      assert.equal(aggregations.nextPage(page(3), { groupBy: 'type' }), undefined);
+      assert.equal(aggregations.nextPage(undefined, { groupBy: 'type' }), undefined);
+      assert.equal(aggregations.nextPage({ sum_age: { value: 1 } }, { sum: 'age' }), undefined);
+    });
+
+  });
+
+  describe('toRecords', function() {
+
+    it('should give a record per group', function() {
+      assert.deepEqual(aggregations.toRecords({
+        groupBy: {
+          buckets: [
+            { key: { type: 'a', status: 1 }, doc_count: 2, sum_age: { value: 30 } },
+            { key: { type: 'b', status: 2 }, doc_count: 1, sum_age: { value: 5 } }
+          ]
+        }
+      }, { groupBy: ['type', 'status'], sum: ['age'] }), [
+        { type: 'a', status: 1, age: 30 },
+        { type: 'b', status: 2, age: 5 }
+      ]);
+    });
+
+    it('should give a single record without groups', function() {
+      assert.deepEqual(aggregations.toRecords({ average_age: { value: 20 } }, { average: 'age' }), [
+        { age: 20 }
+      ]);
+    });
+
+    it('should give no records if there were no indices to search', function() {
+      assert.deepEqual(aggregations.toRecords(undefined, { groupBy: 'type' }), []);
+    });
+
+  });
+
+  describe('normalise', function() {
+
+    it('should give keyed buckets as arrays and rename properties to camel case', function() {
+      assert.deepEqual(aggregations.normalise({
+        status: {
+          buckets: {
+            active: { doc_count: 3 }
+          }
+        },
+        types: {
+          sum_other_doc_count : 0,
+          buckets             : [{ key: 'a', doc_count: 2, key_as_string: 'A' }]
+        }
+      }), {
+        status: {
+          buckets: [{ docCount: 3, key: 'active' }]
+        },
+        types: {
+          sumOtherDocCount : 0,
+          buckets          : [{ key: 'a', docCount: 2, keyAsString: 'A' }]
+        }
+      });
+    });
+
+  });
+
+});
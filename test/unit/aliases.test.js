@@ -0,0 +1,84 @@
+/**
+ * Test dependencies
+ */
+
+var assert  = require('assert');
+var aliases = require('../../lib/aliases');
+
+
+describe('aliases', function() {
+
+  describe('nextIndex', function() {
+
+    it('should give the first version of an alias without versions', function() {
+      assert.equal(aliases.nextIndex('articles', []), 'articles_v1');
+      assert.equal(aliases.nextIndex('articles', ['articles']), 'articles_v1');
+    });
+
+    it('should give the version after the latest one', function() {
+      assert.equal(aliases.nextIndex('articles', ['articles_v2', 'articles_v10', 'other_v20']), 'articles_v11');
+    });
+
+  });
+
+  describe('getIndices', function() {
+
+    // A client whose '_alias' API gives the given response.
+    var fakeClient = function(response) {
+      return {
+        indices: {
+          getAlias: function(params, cb) {
+            assert.deepEqual(params, { name: 'articles', ignore: [404] });
+            cb(null, response);
+          }
+        }
+      };
+    };
+
+    it('should give the indices the alias points to', function(done) {
+      aliases.getIndices(fakeClient({
+        articles_v1: { aliases: { articles: {} } },
+        articles_v2: { aliases: { articles: {} } }
+      }), 'articles', function(err, indexNames) {
+        assert.ifError(err);
+        assert.deepEqual(indexNames, ['articles_v1', 'articles_v2']);
+        done();
+      });
+    });
+
+    it('should give false if there is no such alias', function(done) {
+      aliases.getIndices(fakeClient({
+        error  : 'alias [articles] missing',
+        status : 404
+      }), 'articles', function(err, indexNames) {
+        assert.ifError(err);
+        assert.strictEqual(indexNames, false);
+        done();
+      });
+    });
+
+  });
+
+  describe('getVersionedIndices', function() {
+
+    it('should give all versions of the alias, whether it points to them or not', function(done) {
+      aliases.getVersionedIndices({
+        indices: {
+          getAlias: function(params, cb) {
+            assert.deepEqual(params, { index: 'articles_v*', ignore: [404] });
+            cb(null, {
+              articles_v1: { aliases: { articles: {} } },
+              articles_v2: { aliases: {} }
+            });
+          }
+        }
+      }, 'articles', function(err, indexNames) {
+        assert.ifError(err);
+        assert.deepEqual(indexNames, ['articles_v1', 'articles_v2']);
+        done();
+      });
+    });
+
+  });
+
+});
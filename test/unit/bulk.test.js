@@ -0,0 +1,136 @@
+/**
+ * Test dependencies
+ */
+
+var assert = require('assert');
+var bulk   = require('../../lib/bulk');
+
+
+describe('bulk', function() {
+
+  // A client whose '_bulk' requests succeed for every operation, except the
+  // ones with the ids given as failing.
+  var fakeClient = function(failing) {
+    var client = {
+      requests: [],
+      bulk: function(params, cb) {
+        client.requests.push(params);
+
+        var items = [];
+        params.body.forEach(function(line) {
+          var action = Object.keys(line)[0];
+          if (['index', 'create', 'update', 'delete'].indexOf(action) == -1) {
+            return;
+          }
+
+          var item = {};
+          item[action] = { _id: line[action]._id, status: 200 };
+          if (failing && failing[line[action]._id] != undefined) {
+            item[action].status = failing[line[action]._id];
+            item[action].error  = { type: 'exception' };
+          }
+          items.push(item);
+        });
+
+        setImmediate(function() {
+          cb(null, { items: items });
+        });
+      }
+    };
+
+    return client;
+  };
+
+  var operations = function(count) {
+    var result = [];
+    for (var i = 0; i < count; i++) {
+      result.push({ action: i % 2 ? 'delete' : 'index', id: 'r' + i, body: { n: i } });
+    }
+    return result;
+  };
+
+  describe('execute', function() {
+
+    it('should send the operations in chunks of the given size', function(done) {
+      var client = fakeClient();
+
+      bulk.execute(client, { index: 'articles' }, operations(5), { size: 2 }, function(err, items) {
+        assert.ifError(err);
+        assert.equal(client.requests.length, 3);
+        assert.equal(client.requests[0].index, 'articles');
+        assert.deepEqual(client.requests[0].body, [
+          { index: { _id: 'r0' } },
+          { n: 0 },
+          { delete: { _id: 'r1' } }
+        ]);
+        assert.deepEqual(items.map(function(item) { return item._id; }), ['r0', 'r1', 'r2', 'r3', 'r4']);
+        done();
+      });
+    });
+
+    it('should keep the order of the operations when chunks are sent concurrently', function(done) {
+      var client = fakeClient();
+
+      bulk.execute(client, {}, operations(7), { size: 2, concurrency: 3 }, function(err, items) {
+        assert.ifError(err);
+        assert.equal(client.requests.length, 4);
+        assert.deepEqual(items.map(function(item) { return item._id; }), ['r0', 'r1', 'r2', 'r3', 'r4', 'r5', 'r6']);
+        done();
+      });
+    });
+
+    it('should send the index and the conditions of each operation', function(done) {
+      var client = fakeClient();
+
+      bulk.execute(client, {}, [
+        { action: 'update', index: 'articles_v1', id: 'r0', body: { doc: {} }, ifSeqNo: 7, ifPrimaryTerm: 1 },
+        { action: 'update', id: 'r1', body: { doc: {} }, retryOnConflict: 3 }
+      ], {}, function(err) {
+        assert.ifError(err);
+        assert.deepEqual(client.requests[0].body, [
+          { update: { _index: 'articles_v1', _id: 'r0', if_seq_no: 7, if_primary_term: 1 } },
+          { doc: {} },
+          { update: { _id: 'r1', retry_on_conflict: 3 } },
+          { doc: {} }
+        ]);
+        done();
+      });
+    });
+
+    it('should report the failed operations without aborting the rest', function(done) {
+      var client = fakeClient({ r1: 404, r3: 409 });
+
+      bulk.execute(client, {}, operations(4), { size: 2 }, function(err, items) {
+        assert.equal(err.message, '2 of 4 bulk operations failed.');
+        assert.deepEqual(err.failures.map(function(failure) {
+          return [failure.index, failure.operation.id, failure.status];
+        }), [[1, 'r1', 404], [3, 'r3', 409]]);
+        assert.equal(items.length, 4);
+        done();
+      });
+    });
+
+    it('should report all operations of a failed request as failed', function(done) {
+      var requestError = new Error('unavailable');
+      requestError.status = 503;
+
+      var client = {
+        bulk: function(params, cb) {
+          cb(params.body[0].index._id == 'r0' ? null : requestError, { items: [{ index: { _id: 'r0', status: 201 } }] });
+        }
+      };
+
+      bulk.execute(client, {}, [
+        { action: 'index', id: 'r0', body: {} },
+        { action: 'index', id: 'r1', body: {} }
+      ], { size: 1 }, function(err) {
+        assert.equal(err.failures.length, 1);
+        assert.equal(err.failures[0].status, 503);
+        assert.strictEqual(err.failures[0].error, requestError);
+        done();
+      });
+    });
+
+  });
+
+});
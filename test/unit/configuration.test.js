@@ -0,0 +1,134 @@
+/**
+ * Test dependencies
+ */
+
+var assert        = require('assert');
+var configuration = require('../../lib/configuration');
+
+
+describe('configuration', function() {
+
+  // Get the problems reported for the given configuration.
+  var getProblems = function(config) {
+    try {
+      configuration.build(config);
+    } catch (err) {
+      assert.equal(err.code, 'E_CONFIG');
+      return err.problems;
+    }
+
+    return [];
+  };
+
+  describe('build', function() {
+
+    afterEach(function() {
+      delete process.env.SAILS_ES_TEST_PASSWORD;
+    });
+
+    it('should connect to localhost by default', function() {
+      assert.deepEqual(configuration.build({ identity: 'es' }).hosts, [{
+        protocol : 'http',
+        host     : 'localhost',
+        port     : 9200
+      }]);
+    });
+
+    it('should parse the URLs of the hosts', function() {
+      assert.deepEqual(configuration.build({
+        identity : 'es',
+        hosts    : ['https://es1:9243/prefix', 'es2']
+      }).hosts, [
+        { protocol: 'https', host: 'es1', port: 9243, path: '/prefix' },
+        { protocol: 'http', host: 'es2', port: 9200 }
+      ]);
+    });
+
+    it('should add basic authentication to every host, reading secrets from the environment', function() {
+      process.env.SAILS_ES_TEST_PASSWORD = 'secret';
+
+      var options = configuration.build({
+        identity : 'es',
+        hosts    : ['es1', 'es2'],
+        auth     : { username: 'sails', password: { env: 'SAILS_ES_TEST_PASSWORD' } }
+      });
+
+      assert.deepEqual(options.hosts.map(function(host) { return host.auth; }), ['sails:secret', 'sails:secret']);
+    });
+
+    it('should support the client\'s httpAuth option', function() {
+      assert.equal(configuration.build({ identity: 'es', httpAuth: 'sails:a:b' }).hosts[0].auth, 'sails:a:b');
+      assert.deepEqual(getProblems({ identity: 'es', httpAuth: 'sails' }), [
+        '"httpAuth" must be given as "username:password".'
+      ]);
+      assert.deepEqual(getProblems({ identity: 'es', httpAuth: 'a:b', auth: { username: 'a', password: 'b' } }), [
+        '"auth" and "httpAuth" cannot be given together.'
+      ]);
+    });
+
+    it('should send API keys in the Authorization header', function() {
+      var options = configuration.build({
+        identity : 'es',
+        auth     : { apiKey: { id: 'id', key: 'key' } }
+      });
+
+      assert.equal(options.hosts[0].headers.Authorization, 'ApiKey ' + Buffer.from('id:key').toString('base64'));
+    });
+
+    it('should keep certificates given in PEM format', function() {
+      var ca = '-----BEGIN CERTIFICATE-----\nabc\n-----END CERTIFICATE-----';
+
+      assert.deepEqual(configuration.build({ identity: 'es', ssl: { ca: ca } }).ssl, { ca: ca });
+    });
+
+    it('should pass other options of the client through, and leave out the ones of the adapter', function() {
+      var options = configuration.build({
+        identity       : 'es',
+        adapter        : 'sails-elasticsearch',
+        index          : 'articles',
+        bulkSize       : 100,
+        pingRetries    : 1,
+        debug          : true,
+        apiVersion     : '6.8',
+        keepAlive      : false,
+        requestTimeout : 1000
+      });
+
+      assert.deepEqual(options, {
+        apiVersion     : '6.8',
+        keepAlive      : false,
+        requestTimeout : 1000,
+        hosts          : [{ protocol: 'http', host: 'localhost', port: 9200 }]
+      });
+    });
+
+    it('should report all problems together', function() {
+      var problems = getProblems({
+        identity       : 'es',
+        hosts          : [],
+        auth           : { username: 'sails', password: { env: 'SAILS_ES_TEST_PASSWORD' } },
+        ssl            : { cert: '/missing/cert.pem' },
+        sniffOnStart   : 'yes',
+        requestTimeout : 0,
+        debug          : 'loud',
+        onRequest      : 'log'
+      });
+
+      // The reason a file cannot be read is given by the system.
+      assert.ok(/^"ssl\.cert" could not be read from "\/missing\/cert\.pem": /.test(problems[1]));
+      problems.splice(1, 1);
+
+      assert.deepEqual(problems, [
+        '"auth.password" is read from the environment variable "SAILS_ES_TEST_PASSWORD", which is not set.',
+        '"ssl.cert" and "ssl.key" must be given together.',
+        '"hosts" must list at least one host.',
+        '"sniffOnStart" must be true or false.',
+        '"requestTimeout" must be an integer of at least 1.',
+        '"debug" must be true, false or one of the log levels error, warn, info, debug, verbose, silly.',
+        '"onRequest" must be a function.'
+      ]);
+    });
+
+  });
+
+});
@@ -0,0 +1,207 @@
+/**
+ * Test dependencies
+ */
+
+var assert        = require('assert');
+var elasticsearch = require('elasticsearch');
+var Connection    = require('../../lib/connection');
+
+
+describe('connection', function() {
+
+  var Client = elasticsearch.Client;
+  var clients;
+  var failedPings;
+
+  // A client whose first pings fail, as many as given by 'failedPings'.
+  var FakeClient = function(options) {
+    var client = this;
+
+    client.options = options;
+    client.pings   = 0;
+    client.closed  = false;
+    client.cluster = {
+      health: function(params, cb) {
+        cb(null, { status: 'green' });
+      }
+    };
+
+    clients.push(client);
+  };
+
+  FakeClient.prototype.ping = function(params, cb) {
+    this.pings++;
+    cb(this.pings <= failedPings ? new Error('No Living connections') : null);
+  };
+
+  FakeClient.prototype.info = function(params, cb) {
+    cb(null, { version: { number: '7.10.2' } });
+  };
+
+  FakeClient.prototype.get = function(params, cb) {
+    var err = new Error('Not Found');
+    err.status = 404;
+    err.body   = { error: { type: 'index_not_found_exception', reason: 'no such index' }, status: 404 };
+    cb(err);
+  };
+
+  FakeClient.prototype.close = function() {
+    this.closed = true;
+  };
+
+  beforeEach(function() {
+    clients     = [];
+    failedPings = 0;
+    elasticsearch.Client = FakeClient;
+  });
+
+  afterEach(function() {
+    elasticsearch.Client = Client;
+  });
+
+  describe('connect', function() {
+
+    it('should get the version and health of the cluster', function(done) {
+      new Connection({ pingRetryDelay: 1 }, function(err, connection) {
+        assert.ifError(err);
+        assert.equal(connection.version, '7.10.2');
+        assert.equal(connection.status, 'green');
+        done();
+      });
+    });
+
+    it('should connect even if the version and health cannot be retrieved', function(done) {
+      var sails    = global.sails;
+      var info     = FakeClient.prototype.info;
+      var warnings = [];
+
+      global.sails = {
+        log: {
+          warn: function(message) {
+            warnings.push(message);
+          }
+        }
+      };
+
+      FakeClient.prototype.info = function(params, cb) {
+        cb(new Error('Forbidden'));
+      };
+
+      new Connection({ hosts: ['es:9200'], pingRetryDelay: 1 }, function(err, connection) {
+        global.sails = sails;
+        FakeClient.prototype.info = info;
+
+        assert.ifError(err);
+        assert.equal(connection.version, undefined);
+        assert.deepEqual(warnings, [
+          'Could not get the version and health of the elasticsearch cluster at http://es:9200: Forbidden'
+        ]);
+        done();
+      });
+    });
+
+    it('should retry the ping with an exponential backoff', function(done) {
+      var start = Date.now();
+      failedPings = 2;
+
+      new Connection({ pingRetries: 2, pingRetryDelay: 20 }, function(err) {
+        assert.ifError(err);
+        assert.equal(clients[0].pings, 3);
+        // The retries are delayed by 20 and 40 milliseconds.
+        assert.ok(Date.now() - start >= 60);
+        done();
+      });
+    });
+
+    it('should fail and close the client once all retries fail', function(done) {
+      failedPings = 3;
+
+      new Connection({ hosts: ['es:9200'], pingRetries: 2, pingRetryDelay: 1 }, function(err) {
+        assert.equal(err.code, 'E_UNAVAILABLE');
+        assert.equal(err.message, 'Could not connect to the elasticsearch cluster at http://es:9200 after 3 attempt(s): No Living connections');
+        assert.equal(clients[0].closed, true);
+        done();
+      });
+    });
+
+    it('should not connect with an invalid configuration', function(done) {
+      new Connection({ hosts: [] }, function(err) {
+        assert.equal(err.code, 'E_CONFIG');
+        assert.equal(clients.length, 0);
+        done();
+      });
+    });
+
+  });
+
+  describe('health', function() {
+
+    it('should update the status of the connection', function(done) {
+      new Connection({ pingRetryDelay: 1 }, function(err, connection) {
+        assert.ifError(err);
+
+        connection.client.cluster.health = function(params, cb) {
+          cb(null, { status: 'yellow' });
+        };
+
+        connection.health(function(err, health) {
+          assert.ifError(err);
+          assert.equal(health.status, 'yellow');
+          assert.equal(connection.status, 'yellow');
+          done();
+        });
+      });
+    });
+
+  });
+
+  describe('versionAtLeast', function() {
+
+    it('should compare the version of the cluster part by part', function(done) {
+      new Connection({ pingRetryDelay: 1 }, function(err, connection) {
+        assert.ifError(err);
+
+        assert.equal(connection.versionAtLeast('7.10'), true);
+        assert.equal(connection.versionAtLeast('7.10.2'), true);
+        assert.equal(connection.versionAtLeast('7.9.3'), true);
+        assert.equal(connection.versionAtLeast('7.11'), false);
+        assert.equal(connection.versionAtLeast('8'), false);
+
+        connection.version = undefined;
+        assert.equal(connection.versionAtLeast('1'), false);
+        done();
+      });
+    });
+
+  });
+
+  describe('client', function() {
+
+    it('should translate the errors of requests and trace them', function(done) {
+      var events = [];
+
+      new Connection({
+        pingRetryDelay : 1,
+        onResponse     : function(event) {
+          events.push([event.method, event.status]);
+        }
+      }, function(err, connection) {
+        assert.ifError(err);
+
+        connection.client.get({ index: 'articles', id: '1' }, function(err) {
+          assert.equal(err.code, 'E_NOT_FOUND');
+          assert.deepEqual(events, [['get', 404]]);
+
+          connection.client.cluster.health({}, function(err, health) {
+            assert.ifError(err);
+            assert.equal(health.status, 'green');
+            assert.deepEqual(events[1], ['cluster.health', undefined]);
+            done();
+          });
+        });
+      });
+    });
+
+  });
+
+});
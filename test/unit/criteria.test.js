@@ -0,0 +1,163 @@
+/**
+ * Test dependencies
+ */
+
+var assert   = require('assert');
+var criteria = require('../../lib/criteria');
+
+
+describe('criteria', function() {
+
+  describe('buildQuery', function() {
+
+    it('should match all documents when there are no criteria', function() {
+      assert.deepEqual(criteria.buildQuery({}, 'id'), { match_all: {} });
+    });
+
+    it('should build term and terms filters for plain values and arrays', function() {
+      assert.deepEqual(criteria.buildQuery({ name: 'a', tags: ['b', 'c'] }, 'id'), {
+        bool: {
+          filter: [
+            { term: { name: 'a' } },
+            { terms: { tags: ['b', 'c'] } }
+          ]
+        }
+      });
+    });
+
+    it('should apply criteria on the primary key to the _id', function() {
+      assert.deepEqual(criteria.buildQuery({ id: 'a' }, 'id'), {
+        bool: { filter: [{ term: { _id: 'a' } }] }
+      });
+    });
+
+    it('should reject range and string modifiers on the primary key', function() {
+      [
+        { like: { id: 'a%' } },
+        { id: { like: 'a%' } },
+        { id: { startsWith: 'a' } },
+        { id: { '>': 'a' } }
+      ].forEach(function(where) {
+        assert.throws(function() {
+          criteria.buildQuery(where, 'id');
+        }, function(err) {
+          return err.code == 'E_VALIDATION' && /primary key/.test(err.message);
+        });
+      });
+    });
+
+    it('should match null values by the absence of the field', function() {
+      assert.deepEqual(criteria.buildQuery({ name: null, age: { not: null } }, 'id'), {
+        bool: {
+          filter   : [{ exists: { field: 'age' } }],
+          must_not : [{ exists: { field: 'name' } }]
+        }
+      });
+    });
+
+    it('should combine range modifiers into a single range query', function() {
+      assert.deepEqual(criteria.buildQuery({ age: { '>=': 18, lessThan: 65 } }, 'id'), {
+        bool: { filter: [{ range: { age: { gte: 18, lt: 65 } } }] }
+      });
+    });
+
+    it('should negate the not and nin modifiers', function() {
+      assert.deepEqual(criteria.buildQuery({ name: { not: 'a' }, tags: { nin: ['b'] } }, 'id'), {
+        bool: {
+          must_not: [
+            { term: { name: 'a' } },
+            { terms: { tags: ['b'] } }
+          ]
+        }
+      });
+    });
+
+    it('should escape wildcard characters in string modifiers', function() {
+      assert.deepEqual(criteria.buildQuery({ name: { contains: 'a*b' } }, 'id'), {
+        bool: { filter: [{ wildcard: { name: '*a\\*b*' } }] }
+      });
+      assert.deepEqual(criteria.buildQuery({ name: { startsWith: 'a' } }, 'id'), {
+        bool: { filter: [{ prefix: { name: 'a' } }] }
+      });
+      assert.deepEqual(criteria.buildQuery({ name: { endsWith: 'a?' } }, 'id'), {
+        bool: { filter: [{ wildcard: { name: '*a\\?' } }] }
+      });
+    });
+
+    it('should match string modifiers regardless of case if requested', function() {
+      assert.deepEqual(criteria.buildQuery({
+        like : { name: 'a%' },
+        city : { startsWith: 'Lon', endsWith: 'don' }
+      }, 'id', { caseInsensitive: true }), {
+        bool: {
+          filter: [
+            { wildcard: { name: { value: 'a*', case_insensitive: true } } },
+            { prefix: { city: { value: 'Lon', case_insensitive: true } } },
+            { wildcard: { city: { value: '*don', case_insensitive: true } } }
+          ]
+        }
+      });
+    });
+
+    it('should build or and and criteria', function() {
+      assert.deepEqual(criteria.buildQuery({ or: [{ a: 1 }, { b: 2 }], and: [{ c: 3 }] }, 'id'), {
+        bool: {
+          filter: [
+            {
+              bool: {
+                should: [
+                  { bool: { filter: [{ term: { a: 1 } }] } },
+                  { bool: { filter: [{ term: { b: 2 } }] } }
+                ],
+                minimum_should_match: 1
+              }
+            },
+            { bool: { filter: [{ term: { c: 3 } }] } }
+          ]
+        }
+      });
+    });
+
+    it('should group criteria on the same nested path', function() {
+      var query = criteria.buildQuery({ 'items.sku': 'A', 'items.qty': 2 }, 'id', {
+        nestedPaths : ['items'],
+        innerHits   : true
+      });
+
+      assert.deepEqual(query, {
+        bool: {
+          filter: [{
+            nested: {
+              path  : 'items',
+              query : {
+                bool: {
+                  filter: [
+                    { term: { 'items.sku': 'A' } },
+                    { term: { 'items.qty': 2 } }
+                  ]
+                }
+              },
+              inner_hits: { name: 'items' }
+            }
+          }]
+        }
+      });
+    });
+
+    it('should query dotted fields within objects directly', function() {
+      assert.deepEqual(criteria.buildQuery({ 'author.name': 'a' }, 'id', { nestedPaths: ['items'] }), {
+        bool: { filter: [{ term: { 'author.name': 'a' } }] }
+      });
+    });
+
+    it('should reject unsupported modifiers with a validation error', function() {
+      assert.throws(function() {
+        criteria.buildQuery({ name: { soundsLike: 'a' } }, 'id');
+      }, function(err) {
+        return err.code == 'E_VALIDATION' && /soundsLike/.test(err.message);
+      });
+    });
+
+  });
+
+});
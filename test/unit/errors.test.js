@@ -0,0 +1,118 @@
+/**
+ * Test dependencies
+ */
+
+var assert = require('assert');
+var errors = require('../../lib/errors');
+
+
+describe('errors', function() {
+
+  // Build an error of the elasticsearch client for a response.
+  var clientError = function(status, type, reason) {
+    var err = new Error('[' + type + '] ' + reason);
+    err.status = status;
+    err.body   = { error: { type: type, reason: reason }, status: status };
+    return err;
+  };
+
+  describe('translate', function() {
+
+    it('should give errors codes by the status of the response', function() {
+      assert.equal(errors.translate(clientError(404, 'index_not_found_exception', 'no such index')).code, 'E_NOT_FOUND');
+      assert.equal(errors.translate(clientError(409, 'version_conflict_engine_exception', 'conflict')).code, 'E_CONFLICT');
+      assert.equal(errors.translate(clientError(429, 'es_rejected_execution_exception', 'rejected')).code, 'E_UNAVAILABLE');
+      assert.equal(errors.translate(clientError(504, 'timeout', 'timeout')).code, 'E_TIMEOUT');
+      assert.equal(errors.translate(clientError(500, 'exception', 'failed')).code, 'E_UNKNOWN');
+    });
+
+    it('should only give mapping errors the E_VALIDATION code', function() {
+      assert.equal(errors.translate(clientError(400, 'mapper_parsing_exception', 'failed to parse')).code, 'E_VALIDATION');
+      assert.equal(errors.translate(clientError(400, 'strict_dynamic_mapping_exception', 'not allowed')).code, 'E_VALIDATION');
+      assert.equal(errors.translate(clientError(400, 'parsing_exception', 'unknown query')).code, 'E_UNKNOWN');
+      assert.equal(errors.translate(clientError(400, 'search_phase_execution_exception', 'all shards failed')).code, 'E_UNKNOWN');
+    });
+
+    it('should give errors without a response codes by their type', function() {
+      var err = new Error('Request Timeout after 30000ms');
+      err.displayName = 'RequestTimeout';
+
+      assert.equal(errors.translate(err).code, 'E_TIMEOUT');
+    });
+
+    it('should keep the response and the original error', function() {
+      var original = clientError(404, 'index_not_found_exception', 'no such index [a]');
+      var err      = errors.translate(original);
+
+      assert.equal(err.message, 'index_not_found_exception: no such index [a]');
+      assert.equal(err.status, 404);
+      assert.strictEqual(err.originalError, original);
+      assert.strictEqual(err.response, original.body);
+    });
+
+    it('should give translated errors back as they are', function() {
+      var err = errors.translate(clientError(404, 'index_not_found_exception', 'no such index'));
+
+      assert.strictEqual(errors.translate(err), err);
+      assert.equal(errors.translate(undefined), undefined);
+    });
+
+  });
+
+  describe('bulk', function() {
+
+    it('should give each failure the code of its error', function() {
+      var err = errors.bulk([
+        { index: 0, status: 400, error: { type: 'mapper_parsing_exception' } },
+        { index: 2, status: 409, error: { type: 'version_conflict_engine_exception' } }
+      ], 3);
+
+      assert.equal(err.code, 'E_UNKNOWN');
+      assert.equal(err.message, '2 of 3 bulk operations failed.');
+      assert.deepEqual(err.failures.map(function(failure) { return failure.code; }), ['E_VALIDATION', 'E_CONFLICT']);
+    });
+
+    it('should have the code shared by all failures', function() {
+      var err = errors.bulk([
+        { index: 0, status: 409, error: { type: 'version_conflict_engine_exception' } },
+        { index: 1, status: 409, error: { type: 'version_conflict_engine_exception' } }
+      ], 2);
+
+      assert.equal(err.code, 'E_CONFLICT');
+    });
+
+    it('should keep the code of failures of whole requests', function() {
+      var requestError = errors.translate(clientError(503, 'unavailable', 'unavailable'));
+      var err          = errors.bulk([{ index: 0, status: 503, error: requestError }], 1);
+
+      assert.equal(err.code, 'E_UNAVAILABLE');
+    });
+
+  });
+
+  describe('builders', function() {
+
+    it('should build the errors of the adapter itself', function() {
+      assert.equal(errors.validation('Invalid.').code, 'E_VALIDATION');
+      assert.equal(errors.unknown('Failed.').code, 'E_UNKNOWN');
+    });
+
+    it('should build the errors of records', function() {
+      var original = clientError(409, 'version_conflict_engine_exception', 'conflict');
+
+      assert.deepEqual([
+        errors.notFound('a'),
+        errors.unique('a', original),
+        errors.conflict('a', original)
+      ].map(function(err) {
+        return [err.code, err.status];
+      }), [
+        ['E_NOT_FOUND', 404],
+        ['E_UNIQUE', 409],
+        ['E_CONFLICT', 409]
+      ]);
+    });
+
+  });
+
+});
@@ -0,0 +1,107 @@
+/**
+ * Test dependencies
+ */
+
+var assert = require('assert');
+var geo    = require('../../lib/geo');
+
+
+describe('geo', function() {
+
+  var point = { type: 'json', geo: 'point' };
+  var shape = { type: 'json', geo: 'shape' };
+
+  var isValidationError = function(err) {
+    return err.code == 'E_VALIDATION';
+  };
+
+  describe('toSource', function() {
+
+    it('should store points given in any form as { lat, lon }', function() {
+      [
+        { lat: 1, lng: 2 },
+        { lat: 1, lon: 2 },
+        { type: 'Point', coordinates: [2, 1] },
+        [2, 1],
+        '1,2'
+      ].forEach(function(value) {
+        assert.deepEqual(geo.toSource(value, point), { lat: 1, lon: 2 });
+      });
+    });
+
+    it('should reject invalid points', function() {
+      assert.throws(function() { geo.toSource({ lat: 100, lng: 0 }, point); }, isValidationError);
+      assert.throws(function() { geo.toSource('somewhere', point); }, isValidationError);
+    });
+
+    it('should store shapes as GeoJSON geometries', function() {
+      var polygon = { type: 'polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] };
+
+      assert.strictEqual(geo.toSource(polygon, shape), polygon);
+      assert.deepEqual(geo.toSource({ lat: 1, lng: 2 }, shape), { type: 'point', coordinates: [2, 1] });
+    });
+
+    it('should reject invalid shapes', function() {
+      assert.throws(function() { geo.toSource({ type: 'polygon' }, shape); }, isValidationError);
+    });
+
+  });
+
+  describe('fromSource', function() {
+
+    it('should give points back as { lat, lng }', function() {
+      assert.deepEqual(geo.fromSource({ lat: 1, lon: 2 }, point), { lat: 1, lng: 2 });
+    });
+
+    it('should give points stored in other forms and shapes back as they are', function() {
+      assert.equal(geo.fromSource('u4pruydqqvj', point), 'u4pruydqqvj');
+      assert.deepEqual(geo.fromSource({ type: 'point', coordinates: [2, 1] }, shape), { type: 'point', coordinates: [2, 1] });
+    });
+
+  });
+
+  describe('queries', function() {
+
+    it('should build a distance query', function() {
+      assert.deepEqual(geo.distanceQuery('location', { lat: 1, lng: 2, distance: 500 }), {
+        geo_distance: {
+          distance : '500m',
+          location : { lat: 1, lon: 2 }
+        }
+      });
+      assert.throws(function() { geo.distanceQuery('location', { lat: 1, lng: 2 }); }, isValidationError);
+    });
+
+    it('should build a bounding box query', function() {
+      assert.deepEqual(geo.boxQuery('location', { topLeft: [0, 10], bottomRight: [10, 0] }), {
+        geo_bounding_box: {
+          location: {
+            top_left     : { lat: 10, lon: 0 },
+            bottom_right : { lat: 0, lon: 10 }
+          }
+        }
+      });
+    });
+
+    it('should build a polygon query of at least 3 points', function() {
+      assert.deepEqual(geo.polygonQuery('location', ['0,0', '0,1', '1,1']).geo_polygon.location.points, [
+        { lat: 0, lon: 0 },
+        { lat: 0, lon: 1 },
+        { lat: 1, lon: 1 }
+      ]);
+      assert.throws(function() { geo.polygonQuery('location', ['0,0', '0,1']); }, isValidationError);
+    });
+
+    it('should build a sort by distance', function() {
+      assert.deepEqual(geo.distanceSort('location', { lat: 1, lng: 2, unit: 'km' }), {
+        _geo_distance: {
+          order    : 'asc',
+          unit     : 'km',
+          location : { lat: 1, lon: 2 }
+        }
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,90 @@
+/**
+ * Test dependencies
+ */
+
+var assert  = require('assert');
+var indices = require('../../lib/indices');
+
+
+describe('indices', function() {
+
+  describe('resolve', function() {
+
+    it('should give a static index name as it is', function() {
+      assert.equal(indices.resolve('articles', { operation: 'read' }), 'articles');
+    });
+
+    it('should write to the index of the record date, and read from all dates', function() {
+      var strategy = { pattern: 'logs-YYYY.MM.DD', dateField: 'createdAt' };
+
+      assert.equal(indices.resolve(strategy, {
+        operation : 'write',
+        record    : { createdAt: '2020-03-04T10:00:00Z' }
+      }), 'logs-2020.03.04');
+      assert.equal(indices.resolve(strategy, { operation: 'read' }), 'logs-*.*.*');
+    });
+
+    it('should write to the index of the current date for a plain date pattern', function() {
+      var now = new Date();
+
+      assert.equal(indices.resolve('logs-YYYY', { operation: 'write', record: {} }), 'logs-' + now.getUTCFullYear());
+    });
+
+    it('should read from the indices of the tenants in the criteria', function() {
+      var strategy = { prefix: 'orders-', tenantField: 'customer' };
+
+      assert.equal(indices.resolve(strategy, {
+        operation : 'read',
+        criteria  : { where: { customer: 'ACME' } }
+      }), 'orders-acme');
+      assert.equal(indices.resolve(strategy, {
+        operation : 'read',
+        criteria  : { where: { customer: ['a', 'b'] } }
+      }), 'orders-a,orders-b');
+      assert.equal(indices.resolve(strategy, {
+        operation : 'read',
+        criteria  : { where: { customer: { not: 'a' } } }
+      }), 'orders-*');
+    });
+
+    it('should require the tenant field when writing', function() {
+      var strategy = { prefix: 'orders-', tenantField: 'customer' };
+
+      assert.equal(indices.resolve(strategy, { operation: 'write', record: { customer: 'Acme' } }), 'orders-acme');
+      assert.throws(function() {
+        indices.resolve(strategy, { operation: 'write', record: {}, collectionName: 'order' });
+      }, function(err) {
+        return err.code == 'E_VALIDATION' && /"customer"/.test(err.message);
+      });
+    });
+
+    it('should call a strategy function with the context', function() {
+      var context = { collectionName: 'article', operation: 'read' };
+
+      assert.equal(indices.resolve(function(given) {
+        assert.strictEqual(given, context);
+        return 'custom';
+      }, context), 'custom');
+    });
+
+    it('should reject an invalid strategy', function() {
+      assert.throws(function() {
+        indices.resolve({}, { collectionName: 'article' });
+      }, function(err) {
+        return err.code == 'E_VALIDATION';
+      });
+    });
+
+  });
+
+  describe('isPattern', function() {
+
+    it('should detect wildcard patterns and lists of indices', function() {
+      assert.equal(indices.isPattern('logs-*'), true);
+      assert.equal(indices.isPattern('a,b'), true);
+      assert.equal(indices.isPattern('articles'), false);
+    });
+
+  });
+
+});
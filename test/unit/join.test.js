@@ -0,0 +1,179 @@
+/**
+ * Test dependencies
+ */
+
+var assert = require('assert');
+var _      = require('lodash');
+var join   = require('../../lib/join');
+
+
+describe('join', function() {
+
+  var data = {
+    user: [
+      { id: 'u1', name: 'Ann', friend: 'u2' },
+      { id: 'u2', name: 'Bob', friend: 'u9' }
+    ],
+    pet: [
+      { id: 'p1', owner: 'u1', name: 'Rex' },
+      { id: 'p2', owner: 'u1', name: 'Tom' },
+      { id: 'p3', owner: 'u2', name: 'Kit' },
+      { id: 'p4', owner: 'u1', name: 'Ace' }
+    ],
+    user_toys: [
+      { id: 'j1', user: 'u1', toy: 't2' },
+      { id: 'j2', user: 'u1', toy: 't1' },
+      { id: 'j3', user: 'u2', toy: 't1' }
+    ],
+    toy: [
+      { id: 't1', name: 'Ball' },
+      { id: 't2', name: 'Bone' }
+    ]
+  };
+
+  // Whether the record matches 'where' criteria of plain values and lists of
+  // values.
+  var matches = function(record, where) {
+    return _.every(where, function(value, field) {
+      return _.includes(_.castArray(value), record[field]);
+    });
+  };
+
+  // A store over the data above, recording the requests made to it.
+  var fakeStore = function() {
+    var store = {
+      requests: [],
+      find: function(collectionName, criteria, cb) {
+        store.requests.push(['find', collectionName]);
+        cb(null, _.filter(data[collectionName], function(record) {
+          return matches(record, criteria.where);
+        }).map(_.clone));
+      },
+      findAll: function(collectionName, criteria, cb) {
+        store.requests.push(['findAll', collectionName, criteria]);
+        var records = _.filter(data[collectionName], function(record) {
+          return matches(record, criteria.where);
+        });
+        if (criteria.sort) {
+          records = _.orderBy(records, Object.keys(criteria.sort), _.map(criteria.sort, function(direction) {
+            return direction == 1 ? 'asc' : 'desc';
+          }));
+        }
+        cb(null, records.map(_.clone));
+      },
+      mget: function(collectionName, primaryKeys, cb) {
+        store.requests.push(['mget', collectionName, primaryKeys]);
+        cb(null, primaryKeys.map(function(primaryKey) {
+          return _.clone(_.find(data[collectionName], { id: primaryKey })) || false;
+        }));
+      },
+      primaryKey: function() {
+        return 'id';
+      },
+      value: function(collectionName, record, field) {
+        return record[field];
+      }
+    };
+
+    return store;
+  };
+
+  describe('join', function() {
+
+    it('should populate the children of all parents with a single request', function(done) {
+      var store = fakeStore();
+
+      join.join('user', {
+        where : {},
+        joins : [{
+          parent    : 'user',
+          parentKey : 'id',
+          child     : 'pet',
+          childKey  : 'owner',
+          alias     : 'pets',
+          criteria  : { sort: { name: 1 }, limit: 2 }
+        }]
+      }, store, function(err, users) {
+        assert.ifError(err);
+        assert.deepEqual(users.map(function(user) {
+          return _.map(user.pets, 'name');
+        }), [['Ace', 'Rex'], ['Kit']]);
+        assert.deepEqual(store.requests, [
+          ['find', 'user'],
+          ['findAll', 'pet', { where: { owner: ['u1', 'u2'] }, sort: { name: 1 } }]
+        ]);
+        done();
+      });
+    });
+
+    it('should get children by their primary key with mget, leaving out the missing ones', function(done) {
+      var store = fakeStore();
+
+      join.join('user', {
+        where : {},
+        joins : [{
+          parent    : 'user',
+          parentKey : 'friend',
+          child     : 'user',
+          childKey  : 'id',
+          alias     : 'friend'
+        }]
+      }, store, function(err, users) {
+        assert.ifError(err);
+        assert.deepEqual(_.map(users[0].friend, 'name'), ['Bob']);
+        assert.deepEqual(users[1].friend, []);
+        assert.deepEqual(store.requests[1], ['mget', 'user', ['u2', 'u9']]);
+        done();
+      });
+    });
+
+    it('should populate many-to-many associations through the junction collection', function(done) {
+      var store = fakeStore();
+
+      join.join('user', {
+        where : { id: 'u1' },
+        joins : [{
+          parent        : 'user',
+          parentKey     : 'id',
+          child         : 'user_toys',
+          childKey      : 'user',
+          alias         : 'toys',
+          junctionTable : true
+        }, {
+          parent        : 'user_toys',
+          parentKey     : 'toy',
+          child         : 'toy',
+          childKey      : 'id',
+          alias         : 'toys',
+          junctionTable : true,
+          criteria      : { where: { name: ['Ball', 'Bone'] }, sort: { name: 1 } }
+        }]
+      }, store, function(err, users) {
+        assert.ifError(err);
+        assert.equal(users.length, 1);
+        assert.deepEqual(_.map(users[0].toys, 'name'), ['Ball', 'Bone']);
+        assert.deepEqual(store.requests.slice(1), [
+          ['findAll', 'user_toys', { where: { user: ['u1'] }, sort: undefined }],
+          ['findAll', 'toy', { where: { name: ['Ball', 'Bone'], id: ['t2', 't1'] }, sort: { name: 1 } }]
+        ]);
+        done();
+      });
+    });
+
+    it('should not look for children of parents that were not found', function(done) {
+      var store = fakeStore();
+
+      join.join('user', {
+        where : { id: 'u9' },
+        joins : [{ parent: 'user', parentKey: 'id', child: 'pet', childKey: 'owner', alias: 'pets' }]
+      }, store, function(err, users) {
+        assert.ifError(err);
+        assert.deepEqual(users, []);
+        assert.equal(store.requests.length, 1);
+        done();
+      });
+    });
+
+  });
+
+});
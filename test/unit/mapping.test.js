@@ -0,0 +1,126 @@
+/**
+ * Test dependencies
+ */
+
+var assert  = require('assert');
+var mapping = require('../../lib/mapping');
+
+
+describe('mapping', function() {
+
+  describe('fromAttributes', function() {
+
+    it('should map attributes by their Waterline type', function() {
+      assert.deepEqual(mapping.fromAttributes({
+        name   : { type: 'string' },
+        bio    : { type: 'text' },
+        age    : { type: 'integer' },
+        score  : { type: 'float' },
+        born   : { type: 'date' },
+        active : { type: 'boolean' },
+        place  : { type: 'json', geo: 'point' },
+        area   : { type: 'json', geo: 'shape' }
+      }), {
+        name   : { type: 'keyword' },
+        bio    : { type: 'text' },
+        age    : { type: 'long' },
+        score  : { type: 'double' },
+        born   : { type: 'date' },
+        active : { type: 'boolean' },
+        place  : { type: 'geo_point' },
+        area   : { type: 'geo_shape' }
+      });
+    });
+
+    it('should leave out the primary key and collection associations', function() {
+      assert.deepEqual(mapping.fromAttributes({
+        id    : { type: 'string', primaryKey: true },
+        pets  : { collection: 'pet' },
+        other : { type: 'unknown' }
+      }), {});
+    });
+
+    it('should add an analyzed sub-field to analyzed strings', function() {
+      assert.deepEqual(mapping.fromAttributes({
+        title   : { type: 'string', analyzed: 'english' },
+        summary : { type: 'string', analyzed: true }
+      }), {
+        title   : { type: 'keyword', fields: { analyzed: { type: 'text', analyzer: 'english' } } },
+        summary : { type: 'keyword', fields: { analyzed: { type: 'text' } } }
+      });
+    });
+
+    it('should prefer an explicit mapping', function() {
+      assert.deepEqual(mapping.fromAttributes({
+        name: { type: 'string', mapping: { type: 'completion' } }
+      }), {
+        name: { type: 'completion' }
+      });
+    });
+
+    it('should leave json and array attributes without a declared shape to dynamic mapping', function() {
+      assert.deepEqual(mapping.fromAttributes({
+        data : { type: 'json' },
+        tags : { type: 'array' }
+      }), {});
+    });
+
+    it('should map nested, sub-schema and item attributes', function() {
+      assert.deepEqual(mapping.fromAttributes({
+        lines   : { type: 'array', nested: true },
+        address : { type: 'json', schema: { city: 'string', zip: { type: 'integer' } } },
+        tags    : { type: 'array', items: 'string' },
+        items   : { type: 'array', nested: true, items: { type: 'json', schema: { sku: 'string' } } }
+      }), {
+        lines   : { type: 'nested' },
+        address : { type: 'object', properties: { city: { type: 'keyword' }, zip: { type: 'long' } } },
+        tags    : { type: 'keyword' },
+        items   : { type: 'nested', properties: { sku: { type: 'keyword' } } }
+      });
+    });
+
+  });
+
+  describe('nestedPaths', function() {
+
+    it('should list the paths of nested fields, including the ones within other fields', function() {
+      assert.deepEqual(mapping.nestedPaths({
+        items: {
+          type       : 'nested',
+          properties : {
+            parts: { type: 'nested' }
+          }
+        },
+        address: {
+          type       : 'object',
+          properties : {
+            lines: { type: 'nested' }
+          }
+        },
+        name: { type: 'keyword' }
+      }), ['items', 'items.parts', 'address.lines']);
+    });
+
+  });
+
+  describe('toAttributes', function() {
+
+    it('should translate field types into Waterline types', function() {
+      assert.deepEqual(mapping.toAttributes({
+        name    : { type: 'keyword' },
+        age     : { type: 'long' },
+        born    : { type: 'date' },
+        address : { properties: { city: { type: 'keyword' } } },
+        ip      : { type: 'ip' }
+      }), {
+        name    : { type: 'string' },
+        age     : { type: 'integer' },
+        born    : { type: 'datetime' },
+        address : { type: 'json' },
+        ip      : { type: 'json' }
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,96 @@
+/**
+ * Test dependencies
+ */
+
+var assert  = require('assert');
+var records = require('../../lib/records');
+
+
+describe('records', function() {
+
+  var model = {
+    primaryKey  : 'id',
+    metadataKey : '_meta',
+    attributes  : {
+      id       : { type: 'integer', primaryKey: true },
+      born     : { type: 'date' },
+      location : { type: 'json', geo: 'point' }
+    }
+  };
+
+  describe('fromHit', function() {
+
+    it('should convert a hit into a record', function() {
+      var hit = {
+        _index        : 'people',
+        _id           : '42',
+        _version      : 3,
+        _score        : 1.5,
+        _seq_no       : 7,
+        _primary_term : 1,
+        _source       : {
+          name     : 'Ann',
+          born     : '2000-01-02T00:00:00.000Z',
+          location : { lat: 1, lon: 2 }
+        }
+      };
+
+      assert.deepEqual(records.fromHit(hit, model), {
+        id           : 42,
+        name         : 'Ann',
+        born         : new Date('2000-01-02T00:00:00.000Z'),
+        location     : { lat: 1, lng: 2 },
+        _seqNo       : 7,
+        _primaryTerm : 1,
+        _meta        : { index: 'people', score: 1.5, version: 3 }
+      });
+      assert.equal(hit._source.born, '2000-01-02T00:00:00.000Z');
+      assert.deepEqual(hit._source.location, { lat: 1, lon: 2 });
+    });
+
+    it('should keep primary keys that are not numbers as strings', function() {
+      assert.strictEqual(records.fromHit({ _id: 'AVx3', _source: {} }, model).id, 'AVx3');
+    });
+
+    it('should list the matching nested objects by their path', function() {
+      var record = records.fromHit({
+        _id        : '1',
+        _source    : {},
+        inner_hits : {
+          items: { hits: { hits: [{ _source: { sku: 'A' } }] } }
+        }
+      }, { primaryKey: 'id', attributes: {} });
+
+      assert.deepEqual(record._innerHits, { items: [{ sku: 'A' }] });
+    });
+
+  });
+
+  describe('toSource', function() {
+
+    it('should leave out the primary key, metadata and record properties', function() {
+      assert.deepEqual(records.toSource({
+        id           : 42,
+        name         : 'Ann',
+        location     : { lat: 1, lng: 2 },
+        _meta        : { index: 'people' },
+        _seqNo       : 7,
+        _primaryTerm : 1,
+        _score       : 1.5
+      }, model), {
+        name     : 'Ann',
+        location : { lat: 1, lon: 2 }
+      });
+    });
+
+    it('should reject invalid geo values', function() {
+      assert.throws(function() {
+        records.toSource({ location: 'nowhere' }, model);
+      }, function(err) {
+        return err.code == 'E_VALIDATION';
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,103 @@
+/**
+ * Test dependencies
+ */
+
+var assert = require('assert');
+var schema = require('../../lib/schema');
+
+
+describe('schema', function() {
+
+  var attributes = {
+    name    : { type: 'string' },
+    address : {
+      type   : 'json',
+      schema : {
+        street   : 'string',
+        postcode : { type: 'string', required: true },
+        tags     : ['string'],
+        location : { type: 'json', schema: { lat: 'float', lng: 'float' } }
+      }
+    },
+    lines: {
+      type  : 'array',
+      items : { type: 'json', schema: { sku: 'string', qty: 'integer' } }
+    },
+    settings : { type: 'json', restrictAttributes: ['theme'] },
+    profile  : { type: 'json', skipAttributes: ['password'] }
+  };
+
+  describe('normalise', function() {
+
+    it('should normalise type names and lists into definitions', function() {
+      assert.deepEqual(schema.normalise('string'), { type: 'string' });
+      assert.deepEqual(schema.normalise(['integer']), { type: 'array', items: { type: 'integer' } });
+      assert.deepEqual(schema.normalise({ type: 'float', required: true }), { type: 'float', required: true });
+    });
+
+  });
+
+  describe('apply', function() {
+
+    it('should remove the keys that are not declared, recursively', function() {
+      var values = {
+        name    : 'Ann',
+        address : {
+          street   : 'Main',
+          postcode : '123',
+          extra    : true,
+          location : { lat: 1, lng: 2, alt: 3 }
+        },
+        lines: [{ sku: 'A', qty: 2, note: 'x' }]
+      };
+
+      assert.deepEqual(schema.apply(attributes, values), {
+        name    : 'Ann',
+        address : {
+          street   : 'Main',
+          postcode : '123',
+          location : { lat: 1, lng: 2 }
+        },
+        lines: [{ sku: 'A', qty: 2 }]
+      });
+      assert.equal(values.address.extra, true);
+    });
+
+    it('should keep or remove the listed keys', function() {
+      assert.deepEqual(schema.apply(attributes, {
+        settings : { theme: 'dark', other: 1 },
+        profile  : { bio: 'x', password: 'y' }
+      }), {
+        settings : { theme: 'dark' },
+        profile  : { bio: 'x' }
+      });
+    });
+
+    it('should report all invalid values by their path', function() {
+      assert.throws(function() {
+        schema.apply(attributes, {
+          address : { tags: ['a', 1] },
+          lines   : [{ sku: 'A', qty: 'two' }]
+        });
+      }, function(err) {
+        assert.equal(err.code, 'E_VALIDATION');
+        assert.deepEqual(Object.keys(err.invalidAttributes).sort(), [
+          'address.postcode',
+          'address.tags.1',
+          'lines.0.qty'
+        ]);
+        assert.equal(err.invalidAttributes['address.postcode'][0].rule, 'required');
+        assert.equal(err.invalidAttributes['lines.0.qty'][0].rule, 'type');
+        return true;
+      });
+    });
+
+    it('should leave attributes without a schema alone', function() {
+      var values = { name: 1, other: { a: 1 } };
+
+      assert.deepEqual(schema.apply(attributes, values), values);
+    });
+
+  });
+
+});
@@ -0,0 +1,117 @@
+/**
+ * Test dependencies
+ */
+
+var assert  = require('assert');
+var scripts = require('../../lib/scripts');
+
+
+describe('scripts', function() {
+
+  describe('buildScript', function() {
+
+    it('should pass the operations to the script as parameters', function() {
+      var script = scripts.buildScript({
+        $set   : { name: 'a' },
+        $unset : { old: true },
+        $inc   : { stock: 2 },
+        $dec   : { views: 1 },
+        $push  : { tags: { $each: ['b', 'c'] } },
+        $pull  : { labels: 'd' }
+      }, 'id');
+
+      assert.equal(script.lang, 'painless');
+      assert.deepEqual(script.params.operations, [
+        { type: 'set', field: 'name', value: 'a' },
+        { type: 'unset', field: 'old' },
+        { type: 'inc', field: 'stock', value: 2 },
+        { type: 'inc', field: 'views', value: -1 },
+        { type: 'push', field: 'tags', values: ['b', 'c'] },
+        { type: 'pull', field: 'labels', values: ['d'] }
+      ]);
+    });
+
+    it('should never interpolate values into the source', function() {
+      var first  = scripts.buildScript({ $set: { a: 1 } }, 'id');
+      var second = scripts.buildScript({ $push: { b: '"; ctx.op = "delete' } }, 'id');
+
+      assert.equal(first.source, second.source);
+    });
+
+    it('should reject invalid operations', function() {
+      var isValidationError = function(err) {
+        return err.code == 'E_VALIDATION';
+      };
+
+      assert.throws(function() { scripts.buildScript({}, 'id'); }, isValidationError);
+      assert.throws(function() { scripts.buildScript({ $rename: { a: 'b' } }, 'id'); }, isValidationError);
+      assert.throws(function() { scripts.buildScript({ $set: { id: 2 } }, 'id'); }, isValidationError);
+      assert.throws(function() { scripts.buildScript({ $inc: { stock: 'a' } }, 'id'); }, isValidationError);
+    });
+
+  });
+
+  describe('buildUpsert', function() {
+
+    it('should apply the operations to the $setOnInsert values', function() {
+      assert.deepEqual(scripts.buildUpsert({
+        $setOnInsert : { createdBy: 'admin', stock: 10, tags: ['a'] },
+        $set         : { name: 'b' },
+        $inc         : { stock: 2 },
+        $push        : { tags: 'c' },
+        $pull        : { tags: 'a' }
+      }), {
+        createdBy : 'admin',
+        name      : 'b',
+        stock     : 12,
+        tags      : ['c']
+      });
+    });
+
+  });
+
+  describe('convertValues', function() {
+
+    it('should convert the values that are set and pushed', function() {
+      var converted = [];
+      var operations = scripts.convertValues({
+        $set         : { name: 'a' },
+        $setOnInsert : { createdBy: 'admin' },
+        $push        : { tags: 'b', labels: { $each: ['c', 'd'] } },
+        $inc         : { stock: 1 }
+      }, 'id', function(values) {
+        converted.push(values);
+
+        var result = {};
+        Object.keys(values).forEach(function(field) {
+          result[field] = String(values[field]).toUpperCase().split(',');
+        });
+        return result;
+      });
+
+      assert.deepEqual(converted, [
+        { name: 'a' },
+        { createdBy: 'admin' },
+        { tags: ['b'], labels: ['c', 'd'] }
+      ]);
+      assert.deepEqual(operations, {
+        $set         : { name: ['A'] },
+        $setOnInsert : { createdBy: ['ADMIN'] },
+        $push        : { tags: { $each: ['B'] }, labels: { $each: ['C', 'D'] } },
+        $inc         : { stock: 1 }
+      });
+    });
+
+    it('should reject an update of the primary key before converting it', function() {
+      assert.throws(function() {
+        scripts.convertValues({ $set: { id: 2 } }, 'id', function(values) {
+          return {};
+        });
+      }, function(err) {
+        return err.code == 'E_VALIDATION';
+      });
+    });
+
+  });
+
+});
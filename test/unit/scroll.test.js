@@ -0,0 +1,160 @@
+/**
+ * Test dependencies
+ */
+
+var assert = require('assert');
+var scroll = require('../../lib/scroll');
+
+
+describe('scroll', function() {
+
+  // A client scrolling through the given number of hits, in pages of the size
+  // requested by the initial search.
+  var fakeClient = function(total) {
+    var client = {
+      requests : [],
+      cleared  : [],
+      position : 0,
+      size     : 0
+    };
+
+    var page = function(cb) {
+      var hits = [];
+      while (hits.length < client.size && client.position < total) {
+        hits.push({ _id: 'r' + client.position++ });
+      }
+      setImmediate(function() {
+        cb(null, { _scroll_id: 'scroll-1', hits: { hits: hits } });
+      });
+    };
+
+    client.search = function(params, cb) {
+      client.requests.push(['search', params]);
+      client.size = params.size;
+      page(cb);
+    };
+    client.scroll = function(params, cb) {
+      client.requests.push(['scroll', params]);
+      page(cb);
+    };
+    client.clearScroll = function(params, cb) {
+      client.cleared.push(params.scrollId);
+      cb();
+    };
+
+    return client;
+  };
+
+  describe('all', function() {
+
+    it('should scroll through all hits', function(done) {
+      var client = fakeClient(2500);
+
+      scroll.all(client, { index: 'articles', body: {} }, function(err, hits) {
+        assert.ifError(err);
+        assert.equal(hits.length, 2500);
+        assert.equal(hits[2499]._id, 'r2499');
+        assert.deepEqual(client.requests.map(function(request) { return request[0]; }), ['search', 'scroll', 'scroll']);
+        assert.equal(client.requests[0][1].index, 'articles');
+        assert.equal(client.requests[1][1].scrollId, 'scroll-1');
+        done();
+      });
+    });
+
+    it('should clear the scroll once all hits are retrieved', function(done) {
+      var client = fakeClient(3);
+
+      scroll.all(client, {}, function(err, hits) {
+        assert.ifError(err);
+        assert.equal(hits.length, 3);
+        assert.deepEqual(client.cleared, ['scroll-1']);
+        done();
+      });
+    });
+
+    it('should pass errors on', function(done) {
+      var client = fakeClient(0);
+      client.search = function(params, cb) {
+        cb(new Error('failed'));
+      };
+
+      scroll.all(client, {}, function(err) {
+        assert.equal(err.message, 'failed');
+        done();
+      });
+    });
+
+  });
+
+  describe('createStream', function() {
+
+    // Read all hits from the stream.
+    var readAll = function(stream, cb) {
+      var hits = [];
+      stream.on('data', function(hit) {
+        hits.push(hit);
+      });
+      stream.on('error', cb);
+      stream.on('end', function() {
+        cb(null, hits);
+      });
+    };
+
+    it('should only request the next page as hits are read', function(done) {
+      var client = fakeClient(2500);
+      var stream = scroll.createStream(client, { index: 'articles' });
+
+      // Nothing is read yet, so nothing beyond the first page is requested.
+      stream.once('readable', function() {
+        setTimeout(function() {
+          assert.equal(client.requests.length, 1);
+
+          readAll(stream, function(err, hits) {
+            assert.ifError(err);
+            assert.equal(hits.length, 2500);
+            // The stream ends on the first empty page.
+            assert.deepEqual(client.requests.map(function(request) {
+              return request[0];
+            }), ['search', 'scroll', 'scroll', 'scroll']);
+            assert.deepEqual(client.cleared, ['scroll-1']);
+            done();
+          });
+        }, 20);
+      });
+    });
+
+    it('should stop at the limit and transform the hits', function(done) {
+      var client = fakeClient(2500);
+      var stream = scroll.createStream(client, {}, {
+        limit     : 1500,
+        transform : function(hit) {
+          return hit._id;
+        }
+      });
+
+      readAll(stream, function(err, hits) {
+        assert.ifError(err);
+        assert.equal(hits.length, 1500);
+        assert.equal(hits[1499], 'r1499');
+        assert.equal(client.requests.length, 2);
+        assert.deepEqual(client.cleared, ['scroll-1']);
+        done();
+      });
+    });
+
+    it('should emit errors and clear the scroll', function(done) {
+      var client = fakeClient(2500);
+      client.scroll = function(params, cb) {
+        cb(new Error('failed'));
+      };
+
+      readAll(scroll.createStream(client, {}), function(err) {
+        assert.equal(err.message, 'failed');
+        assert.deepEqual(client.cleared, ['scroll-1']);
+        done();
+      });
+    });
+
+  });
+
+});
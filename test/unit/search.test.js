@@ -0,0 +1,135 @@
+/**
+ * Test dependencies
+ */
+
+var assert = require('assert');
+var search = require('../../lib/search');
+
+
+describe('search', function() {
+
+  describe('buildQuery', function() {
+
+    it('should match all documents when there is no query', function() {
+      assert.deepEqual(search.buildQuery(undefined), { match_all: {} });
+      assert.deepEqual(search.buildQuery({}), { match_all: {} });
+    });
+
+    it('should build a multi_match query from the simplified form', function() {
+      assert.deepEqual(search.buildQuery({
+        q         : 'quick fox',
+        fields    : 'title^2',
+        fuzziness : 'AUTO',
+        operator  : 'and'
+      }), {
+        multi_match: {
+          query     : 'quick fox',
+          fields    : ['title^2'],
+          fuzziness : 'AUTO',
+          operator  : 'and'
+        }
+      });
+    });
+
+    it('should treat a string as the text of the simplified form', function() {
+      assert.deepEqual(search.buildQuery('quick fox'), {
+        multi_match: { query: 'quick fox' }
+      });
+    });
+
+    it('should pass queries in the DSL through', function() {
+      var match = { match: { title: 'quick fox' } };
+
+      assert.deepEqual(search.buildQuery(match), match);
+    });
+
+    it('should not treat queries with properties other than the simplified ones as simplified', function() {
+      var query = { q: 'quick fox', boost: 2 };
+
+      assert.deepEqual(search.buildQuery(query), query);
+    });
+
+    it('should apply the where criteria as filters', function() {
+      assert.deepEqual(search.buildQuery('fox', { published: true }), {
+        bool: {
+          must   : { multi_match: { query: 'fox' } },
+          filter : { bool: { filter: [{ term: { published: true } }] } }
+        }
+      });
+    });
+
+  });
+
+  describe('buildHighlight', function() {
+
+    it('should highlight a list of fields with the default options', function() {
+      assert.deepEqual(search.buildHighlight(['title', 'body']), {
+        fields: { title: {}, body: {} }
+      });
+    });
+
+    it('should take an object as the fields and their options', function() {
+      assert.deepEqual(search.buildHighlight({ body: { fragment_size: 100 } }), {
+        fields: { body: { fragment_size: 100 } }
+      });
+    });
+
+    it('should pass highlighting in the DSL through', function() {
+      var highlight = { pre_tags: ['<b>'], fields: { title: {} } };
+
+      assert.deepEqual(search.buildHighlight(highlight), highlight);
+    });
+
+  });
+
+  describe('buildSuggest', function() {
+
+    it('should build simplified suggesters, defaulting to the text of the query', function() {
+      assert.deepEqual(search.buildSuggest({
+        autocomplete : { type: 'completion', field: 'suggest', size: 5 },
+        didYouMean   : { type: 'phrase', field: 'title.trigram', text: 'quick fxo' }
+      }, { q: 'qui', fields: ['title'] }), {
+        autocomplete : { prefix: 'qui', completion: { field: 'suggest', size: 5 } },
+        didYouMean   : { text: 'quick fxo', phrase: { field: 'title.trigram' } }
+      });
+    });
+
+    it('should require the text of simplified suggesters when the query is in the DSL', function() {
+      assert.throws(function() {
+        search.buildSuggest({ didYouMean: { type: 'phrase', field: 'title' } }, { match: { title: 'fox' } });
+      }, function(err) {
+        return err.code == 'E_VALIDATION' && /"didYouMean"/.test(err.message);
+      });
+    });
+
+    it('should pass suggesters in the DSL through', function() {
+      var suggester = { text: 'fxo', term: { field: 'title' } };
+
+      assert.deepEqual(search.buildSuggest({ spelling: suggester }, 'fox'), { spelling: suggester });
+    });
+
+  });
+
+  describe('normaliseSuggestions', function() {
+
+    it('should list the options of each suggester, with the records of completions', function() {
+      assert.deepEqual(search.normaliseSuggestions({
+        autocomplete: [{
+          text    : 'qui',
+          options : [{ text: 'Quick fox', _id: '1', _score: 2, _source: { title: 'Quick fox' } }]
+        }],
+        spelling: [
+          { text: 'quick', options: [] },
+          { text: 'fxo', options: [{ text: 'fox', score: 0.8, freq: 3 }] }
+        ]
+      }, function(hit) {
+        return { id: hit._id, title: hit._source.title };
+      }), {
+        autocomplete : [{ text: 'Quick fox', score: 2, record: { id: '1', title: 'Quick fox' } }],
+        spelling     : [{ text: 'fox', score: 0.8, freq: 3 }]
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,92 @@
+/**
+ * Test dependencies
+ */
+
+var assert   = require('assert');
+var settings = require('../../lib/settings');
+
+
+describe('settings', function() {
+
+  describe('build', function() {
+
+    it('should expand shorthands and keep other settings', function() {
+      assert.deepEqual(settings.build({
+        shards            : 1,
+        replicas          : 0,
+        refreshInterval   : '5s',
+        max_result_window : 20000
+      }), {
+        number_of_shards   : 1,
+        number_of_replicas : 0,
+        refresh_interval   : '5s',
+        max_result_window  : 20000
+      });
+    });
+
+    it('should give nothing if no settings are declared', function() {
+      assert.equal(settings.build(undefined), undefined);
+    });
+
+  });
+
+  describe('validateAnalysis', function() {
+
+    var esSettings = {
+      analysis: {
+        analyzer   : { autocomplete: { tokenizer: 'standard' } },
+        normalizer : { folded: { filter: ['asciifolding'] } }
+      }
+    };
+
+    it('should accept built-in and defined analyzers and normalizers', function() {
+      assert.equal(settings.validateAnalysis({
+        title : { type: 'text', analyzer: 'autocomplete', search_analyzer: 'english' },
+        code  : { type: 'keyword', normalizer: 'folded' },
+        name  : { type: 'keyword', normalizer: 'lowercase' }
+      }, esSettings), null);
+    });
+
+    it('should list undefined analyzers, including the ones of sub-fields and objects', function() {
+      var err = settings.validateAnalysis({
+        title: {
+          type   : 'keyword',
+          fields : { analyzed: { type: 'text', analyzer: 'missing' } }
+        },
+        address: {
+          properties: {
+            city: { type: 'keyword', normalizer: 'unknown' }
+          }
+        }
+      }, esSettings);
+
+      assert.equal(err.code, 'E_VALIDATION');
+      assert.equal(err.message, 'The mapping references undefined analyzer "missing" (analyzed), normalizer "unknown" (city).');
+    });
+
+  });
+
+  describe('getDrift', function() {
+
+    it('should list the declared settings that differ from the live ones', function() {
+      assert.deepEqual(settings.getDrift({
+        number_of_replicas : 1,
+        refresh_interval   : '5s',
+        analysis           : { analyzer: { a: { tokenizer: 'standard' } } }
+      }, {
+        index: {
+          number_of_replicas : '2',
+          number_of_shards   : '5',
+          refresh_interval   : '5s',
+          analysis           : { analyzer: { a: { tokenizer: 'standard' } } }
+        }
+      }), [{
+        setting  : 'number_of_replicas',
+        declared : '1',
+        live     : '2'
+      }]);
+    });
+
+  });
+
+});
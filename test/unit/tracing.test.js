@@ -0,0 +1,119 @@
+/**
+ * Test dependencies
+ */
+
+var assert  = require('assert');
+var _       = require('lodash');
+var tracing = require('../../lib/tracing');
+
+
+describe('tracing', function() {
+
+  var sails = global.sails;
+  var logs;
+
+  // Log through a Sails logger that records the messages by level.
+  beforeEach(function() {
+    logs = [];
+    global.sails = {
+      log: _.mapValues({ error: 0, warn: 0, info: 0, debug: 0, verbose: 0 }, function(value, level) {
+        return function(message) {
+          logs.push([level, message]);
+        };
+      })
+    };
+  });
+
+  afterEach(function() {
+    global.sails = sails;
+  });
+
+  // Trace a request of the given method, completing it with the given
+  // response after the given delay.
+  var trace = function(config, method, params, delay, response, cb) {
+    var done = tracing.start(config, method, params);
+
+    setTimeout(function() {
+      done(null, response, 200);
+      cb();
+    }, delay);
+  };
+
+  var response = { took: 3, hits: { total: { value: 2 }, hits: [] } };
+
+  describe('start', function() {
+
+    it('should do nothing if nothing is traced', function() {
+      assert.strictEqual(tracing.start({ identity: 'es' }, 'search', {}), _.noop);
+    });
+
+    it('should log every request at the given level', function(done) {
+      trace({ identity: 'es', debug: 'info' }, 'indices.exists', { index: 'articles' }, 0, true, function() {
+        assert.equal(logs.length, 1);
+        assert.equal(logs[0][0], 'info');
+        assert.ok(/^\[es\] indices\.exists index=articles \(\d+ms\)$/.test(logs[0][1]));
+        done();
+      });
+    });
+
+    it('should log failed requests with their error', function() {
+      tracing.start({ identity: 'es', debug: true }, 'get', { index: 'articles' })(new Error('Not Found'));
+
+      assert.equal(logs[0][0], 'debug');
+      assert.ok(/^\[es\] get index=articles \(\d+ms\) failed: Not Found$/.test(logs[0][1]));
+    });
+
+    it('should warn about requests slower than the threshold', function(done) {
+      trace({ identity: 'es', slowQueryThreshold: 10 }, 'search', { index: 'articles', body: { size: 1 } }, 30, response, function() {
+        assert.equal(logs.length, 1);
+        assert.equal(logs[0][0], 'warn');
+        assert.ok(/^Slow elasticsearch request \(threshold 10ms\): \[es\] search index=articles \(\d+ms\) \{"size":1\}$/.test(logs[0][1]));
+        done();
+      });
+    });
+
+    it('should not warn about requests within the threshold', function(done) {
+      trace({ identity: 'es', slowQueryThreshold: 1000 }, 'search', { index: 'articles' }, 0, response, function() {
+        assert.deepEqual(logs, []);
+        done();
+      });
+    });
+
+    it('should pass each request to the hooks', function(done) {
+      var events = [];
+      var config = {
+        identity   : 'es',
+        onRequest  : function(event) {
+          events.push(['request', _.pick(event, ['connection', 'method', 'index'])]);
+        },
+        onResponse : function(event) {
+          events.push(['response', _.pick(event, ['method', 'status', 'hits', 'took'])]);
+        }
+      };
+
+      trace(config, 'search', { index: 'articles' }, 0, response, function() {
+        assert.deepEqual(events, [
+          ['request', { connection: 'es', method: 'search', index: 'articles' }],
+          ['response', { method: 'search', status: 200, hits: 2, took: 3 }]
+        ]);
+        done();
+      });
+    });
+
+    it('should log the errors of hooks', function(done) {
+      var config = {
+        identity  : 'es',
+        onRequest : function() {
+          throw new Error('broken');
+        }
+      };
+
+      trace(config, 'search', { index: 'articles' }, 0, response, function() {
+        assert.deepEqual(logs, [['warn', 'The "onRequest" hook of the "es" connection failed: broken']]);
+        done();
+      });
+    });
+
+  });
+
+});